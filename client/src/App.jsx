@@ -4,6 +4,106 @@ import { jwtDecode } from 'jwt-decode'
 const API = 'https://videoeditor.cab432.com'
 console.log('API endpoint:', API)
 
+// Canvas presets offered when creating a project
+const FORMATS = {
+  '16:9': { width: 1920, height: 1080 },
+  '9:16': { width: 1080, height: 1920 },
+  '1:1': { width: 1080, height: 1080 }
+}
+
+// Rendition sets offered for export (names match the server's rendition ladder)
+const LADDERS = {
+  '1080p': ['1080p'],
+  '1080p + 720p + 480p': ['1080p', '720p', '480p'],
+  '2160p + 1080p + 720p': ['2160p', '1080p', '720p'],
+  'Audio only': ['audio']
+}
+
+// Output formats (names match OUTPUT_FORMATS on the server). audioOnly formats render just
+// the mix; silent ones have no audio rendition. HLS/DASH packaging needs mp4.
+const OUTPUT_FORMATS = {
+  mp4: { label: 'MP4 (H.264)' },
+  webm: { label: 'WebM (VP9/Opus)' },
+  av1: { label: 'AV1 (SVT-AV1)' },
+  prores: { label: 'ProRes 422 (MOV)' },
+  gif: { label: 'Animated GIF', silent: true },
+  webp: { label: 'Animated WebP', silent: true },
+  png: { label: 'PNG still (at playhead)', silent: true, still: true },
+  jpeg: { label: 'JPEG still (at playhead)', silent: true, still: true },
+  mp3: { label: 'MP3', audioOnly: true },
+  wav: { label: 'WAV', audioOnly: true }
+}
+const formatRenditions = (name, renditions) => {
+  const f = OUTPUT_FORMATS[name]
+  if (f.audioOnly) return ['audio']
+  const video = f.silent ? renditions.filter(r => r !== 'audio') : renditions
+  return video.length > 0 ? video : ['1080p']
+}
+
+// Transition types the server renders with xfade/acrossfade
+const TRANSITION_TYPES = ['crossfade', 'dip-to-black', 'wipe', 'slide']
+
+// Placement presets for text clips (match TEXT_POSITIONS on the server)
+const TEXT_POSITIONS = ['center', 'top', 'bottom', 'lower-third', 'top-left', 'top-right']
+const STILL_DEFAULT_SECONDS = 5
+
+// Pan/zoom presets for still images: normalized source rectangles the render moves between
+const MOTION_PRESETS = {
+  'none': null,
+  'zoom-in': { from: { x: 0, y: 0, w: 1, h: 1 }, to: { x: 0.15, y: 0.15, w: 0.7, h: 0.7 } },
+  'zoom-out': { from: { x: 0.15, y: 0.15, w: 0.7, h: 0.7 }, to: { x: 0, y: 0, w: 1, h: 1 } },
+  'pan-left': { from: { x: 0.2, y: 0.1, w: 0.8, h: 0.8 }, to: { x: 0, y: 0.1, w: 0.8, h: 0.8 } },
+  'pan-right': { from: { x: 0, y: 0.1, w: 0.8, h: 0.8 }, to: { x: 0.2, y: 0.1, w: 0.8, h: 0.8 } }
+}
+
+const TRACK_PREFIX = { video: 'V', audio: 'A', text: 'T', subtitle: 'S' }
+const SUBTITLE_MIMETYPES = ['application/x-subrip', 'text/vtt']
+
+const SPEED_LIMITS = { min: 0.25, max: 4 }
+// Defaults for a newly keyed clip; mirrors CHROMA_KEY_DEFAULTS on the server
+const CHROMA_KEY_DEFAULTS = { color: '#00ff00', similarity: 0.1, blend: 0.05, spill: 0.5 }
+// .cube LUTs have no browser MIME type; the server stores them under this one
+const LUT_MIMETYPE = 'application/x-cube'
+const uploadType = (f) => f.name.toLowerCase().endsWith('.cube') ? LUT_MIMETYPE : (f.type || 'application/octet-stream')
+// Color controls: [key, label, min, max, step]; must stay within COLOR_LIMITS on the server
+const COLOR_CONTROLS = [
+  ['exposure', 'Exposure (stops)', -3, 3, 0.1],
+  ['contrast', 'Contrast', -1, 1, 0.05],
+  ['saturation', 'Saturation', -1, 1, 0.05],
+  ['temperature', 'Temperature', -1, 1, 0.05],
+  ['tint', 'Tint', -1, 1, 0.05]
+]
+// Sidechain defaults for music tracks ducked under dialogue; mirrors DUCKING_DEFAULTS on the server
+const DUCKING_DEFAULTS = { threshold: -30, ratio: 8, release: 400 }
+
+// Clip timing; must match clipSpeed / clipDuration in server/src/video.js so clips line up.
+// Clips don't carry their file's mimetype, so callers say whether the clip is a still.
+const clipSpeed = (c, still = false) => c.freeze || still ? 1 : (Number.isFinite(c.speed) ? Math.min(SPEED_LIMITS.max, Math.max(SPEED_LIMITS.min, c.speed)) : 1)
+const clipLength = (c, still = false) => c.freeze ? Math.max(0, Number(c.freeze.duration) || 0) : (c.out - c.in) / clipSpeed(c, still)
+const clipEnd = (c, still = false) => c.start + clipLength(c, still)
+
+// Source time shown at clip-local time t, with speed, reverse and freeze applied
+const sourceTime = (c, t, still = false) => {
+  if (c.freeze) return c.in
+  const s = Math.max(0, Math.min(t * clipSpeed(c, still), c.out - c.in))
+  return c.reverse ? c.out - s : c.in + s
+}
+
+// Drop transitions whose clips moved apart (the second clip must start `duration` before the first ends)
+const pruneTransitions = (p, isStill = () => false) => ({
+  ...p,
+  tracks: p.tracks.map(t => {
+    if (!t.transitions) return t
+    return {
+      ...t, transitions: t.transitions.filter(tr => {
+        const a = t.clips.find(c => c.id === tr.fromClipId)
+        const b = t.clips.find(c => c.id === tr.toClipId)
+        return a && b && Math.abs(b.start - (clipEnd(a, isStill(a)) - tr.duration)) < 0.05
+      })
+    }
+  })
+})
+
 const secondsToTime = (s) => {
   const m = Math.floor(s / 60).toString().padStart(2, '0')
   const ss = Math.floor(s % 60).toString().padStart(2, '0')
@@ -11,6 +111,151 @@ const secondsToTime = (s) => {
   return `${m}:${ss}.${ms}`
 }
 
+// Keyframe easing curves; must match KEYFRAME_EASINGS / EASING_FN in server/src/video.js
+const KEYFRAME_EASINGS = {
+  'linear': p => p,
+  'ease-in': p => p * p,
+  'ease-out': p => p * (2 - p),
+  'ease-in-out': p => p * p * (3 - 2 * p),
+  'hold': () => 0
+}
+
+// Value of a keyframed property at clip-local time, interpolated the same way as the render
+const keyframeValue = (keys, time) => {
+  const sorted = [...keys].sort((a, b) => a.time - b.time)
+  if (time <= sorted[0].time) return sorted[0].value
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const a = sorted[i], b = sorted[i + 1]
+    if (time >= b.time) continue
+    const ease = KEYFRAME_EASINGS[a.easing] || KEYFRAME_EASINGS.linear
+    return a.value + (b.value - a.value) * ease((time - a.time) / (b.time - a.time))
+  }
+  return sorted[sorted.length - 1].value
+}
+
+// Clip transform with any keyframed properties evaluated at clip-local time
+const animatedTransform = (clip, time) => {
+  const animated = ['x', 'y', 'scale', 'rotation', 'opacity'].filter(p => clip.keyframes?.[p]?.length)
+  if (animated.length === 0) return clip.transform
+  const t = { ...clip.transform }
+  for (const p of animated) t[p] = keyframeValue(clip.keyframes[p], time)
+  return t
+}
+
+// CSS approximation of a clip's color adjustments; temperature, tint and LUTs only show in the render
+const colorStyle = (c) => {
+  if (!c) return {}
+  const filters = []
+  if (c.exposure) filters.push(`brightness(${Math.pow(2, c.exposure)})`)
+  if (c.contrast) filters.push(`contrast(${1 + c.contrast})`)
+  if (c.saturation) filters.push(`saturate(${1 + c.saturation})`)
+  return filters.length ? { filter: filters.join(' ') } : {}
+}
+
+// CSS approximation of a clip transform (position, scale, rotation, opacity) for the preview stage.
+// Crop is only applied at render time.
+const transformStyle = (t) => {
+  if (!t) return {}
+  const x = t.x ?? 0.5, y = t.y ?? 0.5
+  return {
+    transform: `translate(${(x - 0.5) * 100}%, ${(y - 0.5) * 100}%) scale(${t.scale ?? 1}) rotate(${t.rotation ?? 0}deg)`,
+    opacity: t.opacity ?? 1
+  }
+}
+
+// CSS placement approximating the server's drawtext position presets
+const TEXT_POSITION_STYLES = {
+  'center': { left: '50%', top: '50%', transform: 'translate(-50%, -50%)' },
+  'top': { left: '50%', top: '8%', transform: 'translateX(-50%)' },
+  'bottom': { left: '50%', bottom: '8%', transform: 'translateX(-50%)' },
+  'lower-third': { left: '6%', top: '72%' },
+  'top-left': { left: '5%', top: '6%' },
+  'top-right': { right: '5%', top: '6%' }
+}
+
+// A subtitle track's cues on the timeline: cue times are in the source file's time, trimmed by
+// each clip's in/out and offset by its start (timelineCues in server/src/subtitles.js)
+const timelineCues = (track) => track.clips.flatMap(c => (c.cues || []).map(cue => ({
+  start: c.start + (Math.max(cue.start, c.in) - c.in),
+  end: c.start + (Math.min(cue.end, c.out) - c.in),
+  text: cue.text
+})).filter(cue => cue.end > cue.start))
+
+// Preview of the cue showing at the playhead, placed like the burned-in style
+function SubtitleLayer({ track, playhead, canvasHeight }) {
+  const cue = timelineCues(track).find(c => playhead >= c.start && playhead < c.end)
+  if (!cue) return null
+  const size = track.style?.size || Math.round(canvasHeight * 0.05)
+  return (
+    <div style={{
+      position: 'absolute', left: '5%', right: '5%', textAlign: 'center',
+      ...(track.style?.position === 'top' ? { top: '4%' } : { bottom: '4%' }),
+      fontSize: `${size / canvasHeight * 100}cqh`,
+      color: track.style?.color || '#fff',
+      textShadow: `0 0 3px ${track.style?.outlineColor || '#000'}`,
+      whiteSpace: 'pre-line',
+      pointerEvents: 'none'
+    }}>{cue.text}</div>
+  )
+}
+
+// Preview of a text clip, with the same fade math as the render
+function TextLayer({ clip, playhead, canvasHeight }) {
+  const end = clipEnd(clip)
+  if (playhead < clip.start || playhead > end) return null
+  let opacity = 1
+  if (clip.fadeIn > 0 && playhead < clip.start + clip.fadeIn) opacity = (playhead - clip.start) / clip.fadeIn
+  else if (clip.fadeOut > 0 && playhead > end - clip.fadeOut) opacity = (end - playhead) / clip.fadeOut
+  const size = clip.size || Math.round(canvasHeight * 0.06)
+  return (
+    <div style={{
+      position: 'absolute',
+      ...(TEXT_POSITION_STYLES[clip.position] || TEXT_POSITION_STYLES.center),
+      fontFamily: clip.font || 'sans-serif',
+      fontSize: `${size / canvasHeight * 100}cqh`,
+      color: clip.color || '#fff',
+      background: clip.box ? (clip.boxColor || 'rgba(0,0,0,0.6)') : 'none',
+      padding: clip.box ? `${size * 0.3 / canvasHeight * 100}cqh` : 0,
+      whiteSpace: 'pre',
+      opacity,
+      pointerEvents: 'none'
+    }}>{clip.text}</div>
+  )
+}
+
+// Waveform peaks from the server: each level's base64 min/max pairs as an Int8Array
+const decodePeaks = (data) => data?.levels ? {
+  ...data,
+  levels: data.levels.map(l => ({ ...l, peaks: Int8Array.from(atob(l.peaks), ch => (ch.charCodeAt(0) << 24) >> 24) }))
+} : null
+
+// Waveform of an audio clip, from the coarsest level with at least one bucket per pixel
+function WaveformLayer({ clip, peaks, pxPerSec }) {
+  const width = Math.round(clipLength(clip) * pxPerSec)
+  if (clip.freeze || width <= 0) return null
+  const wanted = pxPerSec / clipSpeed(clip)
+  const level = peaks.levels.find(l => l.bucketsPerSecond >= wanted) || peaks.levels[peaks.levels.length - 1]
+  const { bucketsPerSecond: bps, buckets, peaks: data } = level
+  const tops = [], bottoms = []
+  for (let x = 0; x < width; x++) {
+    const a = sourceTime(clip, x / pxPerSec), b = sourceTime(clip, (x + 1) / pxPerSec)
+    const from = Math.max(0, Math.floor(Math.min(a, b) * bps))
+    const to = Math.min(buckets, Math.max(from + 1, Math.ceil(Math.max(a, b) * bps)))
+    let min = 0, max = 0
+    for (let i = from; i < to; i++) {
+      if (data[i * 2] < min) min = data[i * 2]
+      if (data[i * 2 + 1] > max) max = data[i * 2 + 1]
+    }
+    tops.push(`${x},${128 - max}`)
+    bottoms.push(`${x},${128 - min}`)
+  }
+  return (
+    <svg className="waveform" viewBox={`0 0 ${width} 256`} preserveAspectRatio="none">
+      <polygon points={[...tops, ...bottoms.reverse()].join(' ')} />
+    </svg>
+  )
+}
+
 export default function App() {
   const [token, setToken] = useState(localStorage.getItem('token') || '')
   const [user, setUser] = useState(null)
@@ -18,13 +263,32 @@ export default function App() {
   const [serverConfig, setServerConfig] = useState({ features: {}, cognito: {}, s3: {}, version: '', buildTime: '' })
   const [versionInfo, setVersionInfo] = useState({ server: {}, client: {} })
   const [files, setFiles] = useState([])
+  // Stills always play at 1x, as isImageClip does on the server
+  const imageFileIds = useMemo(() => new Set(files.filter(f => f.mimetype?.startsWith('image/')).map(f => f.id)), [files])
+  const isImageClip = (c) => imageFileIds.has(c.fileId)
   const [project, setProject] = useState(null)
   const [projects, setProjects] = useState([])
   const [status, setStatus] = useState('')
   const [preset, setPreset] = useState('fast')
+  const [format, setFormat] = useState('16:9')
+  const [ladder, setLadder] = useState('1080p')
+  const [packaging, setPackaging] = useState('progressive')
+  const [outputFormat, setOutputFormat] = useState('mp4')
+  // 'crf' (quality-based), 'bitrate' (kbps) or 'size' (MB budget per rendition); mp4 only
+  const [rateMode, setRateMode] = useState('crf')
+  const [rateValue, setRateValue] = useState(2500)
+  // Export range on the timeline ({ start, end } in seconds), or null for the whole timeline
+  const [renderRange, setRenderRange] = useState(null)
+  const [loudness, setLoudness] = useState('off')
+  const [selectedClipId, setSelectedClipId] = useState(null)
+  // Per-clip problems reported by the server's timeline validation ({ trackId, clipId, field, message })
+  const [timelineErrors, setTimelineErrors] = useState([])
   const [playhead, setPlayhead] = useState(0)
   const [isPlaying, setIsPlaying] = useState(false)
   const [zoom, setZoom] = useState(50) // px per second
+  // Decoded waveform peaks by file id (null when a file has none)
+  const [peaksByFile, setPeaksByFile] = useState({})
+  const peaksRequestedRef = useRef(new Set())
   const stageRef = useRef()
   const rafRef = useRef()
   const startRef = useRef(0)
@@ -123,6 +387,32 @@ export default function App() {
     setFiles(data.items || [])
   }
 
+  // Uploads are probed and thumbnailed on the server after they are saved; poll the ones
+  // still in the ingest pipeline until they settle
+  useEffect(() => {
+    const ingesting = files.filter(f => f.ingestStatus === 'pending' || f.ingestStatus === 'processing')
+    if (ingesting.length === 0) return
+    const timer = setTimeout(async () => {
+      const updated = await Promise.all(ingesting.map(f => authFetch(`${API}/api/v1/files/${f.id}`).catch(() => null)))
+      setFiles(fs => fs.map(f => updated.find(u => u?.id === f.id) || f))
+    }, 2000)
+    return () => clearTimeout(timer)
+  }, [files])
+
+  // Fetch waveform peaks for files used on audio tracks once ingest has built them
+  useEffect(() => {
+    if (!project) return
+    const ids = new Set(project.tracks.filter(t => t.type === 'audio').flatMap(t => t.clips.map(c => c.fileId)))
+    for (const id of ids) {
+      const f = files.find(f => f.id === id)
+      if (!f || !(f.peaks || f.peaksS3Key) || peaksRequestedRef.current.has(id)) continue
+      peaksRequestedRef.current.add(id)
+      authFetch(`${API}/api/v1/files/${id}/peaks`)
+        .then(data => setPeaksByFile(p => ({ ...p, [id]: decodePeaks(data) })))
+        .catch(() => setPeaksByFile(p => ({ ...p, [id]: null })))
+    }
+  }, [project, files])
+
   const fetchProjects = async () => {
     const data = await authFetch(`${API}/api/v1/projects?limit=50`)
     setProjects(data.items || [])
@@ -132,14 +422,16 @@ export default function App() {
   const createProject = async () => {
     const name = prompt('Project name?', 'My Project')
     if (!name) return
-    // Ensure 16:9 aspect ratio (1920x1080)
-    const data = await authFetch(`${API}/api/v1/projects`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name, width: 1920, height: 1080, fps: 30 }) })
+    const { width, height } = FORMATS[format]
+    const data = await authFetch(`${API}/api/v1/projects`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name, width, height, fps: 30 }) })
     if (data && data.id) { setProject(data); fetchProjects() }
+    else if (data?.message) alert(`Could not create project: ${data.message}`)
   }
 
   const saveTimeline = async (p) => {
     const data = await authFetch(`${API}/api/v1/projects/${p.id}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(p) })
-    if (data && data.id) { setProject(data) }
+    if (data?.errors) { setTimelineErrors(data.errors); setStatus(data.message); return }
+    if (data && data.id) { setProject(data); setTimelineErrors([]) }
   }
 
   const onUpload = async (e) => {
@@ -170,6 +462,8 @@ export default function App() {
           alert(`Upload failed: ${error.message || error.error}`)
           return
         }
+        const data = await res.json()
+        if (data.rejected?.length) alert(`Some files were rejected:\n${data.rejected.map(r => `${r.name}: ${r.message}`).join('\n')}`)
 
         fetchFiles()
       } catch (error) {
@@ -189,7 +483,7 @@ export default function App() {
           headers: { 'Authorization': token, 'Content-Type': 'application/json' },
           body: JSON.stringify({
             filename: f.name,
-            contentType: f.type || 'application/octet-stream',
+            contentType: uploadType(f),
             fileSize: f.size
           })
         })
@@ -205,7 +499,7 @@ export default function App() {
         // Upload to S3 with progress tracking
         const putRes = await fetch(presigned.url, {
           method: 'PUT',
-          headers: { 'Content-Type': f.type || 'application/octet-stream' },
+          headers: { 'Content-Type': uploadType(f) },
           body: f
         })
 
@@ -215,39 +509,12 @@ export default function App() {
           return
         }
 
-        // Extract duration for video files before registering (with timeout to prevent hangs)
-        let duration = null
-        if (f.type && f.type.startsWith('video/') && f.size < 50 * 1024 * 1024) { // Only for files < 50MB
-          try {
-            duration = await Promise.race([
-              new Promise((resolve, reject) => {
-                const video = document.createElement('video')
-                video.onloadedmetadata = () => {
-                  resolve(video.duration)
-                  URL.revokeObjectURL(video.src)
-                }
-                video.onerror = () => {
-                  reject(new Error('Failed to load video metadata'))
-                  URL.revokeObjectURL(video.src)
-                }
-                video.src = URL.createObjectURL(f)
-              }),
-              new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Video metadata extraction timeout')), 10000)
-              )
-            ])
-            console.log(`Extracted duration for ${f.name}: ${duration}s`)
-          } catch (e) {
-            console.warn('Failed to extract video duration for', f.name, ':', e.message)
-            // Skip duration extraction for problematic files
-          }
-        } const registerData = {
+        const registerData = {
           id: presigned.id,
           originalName: f.name,
           key: presigned.key,
-          mimetype: f.type
+          mimetype: uploadType(f)
         }
-        if (duration) registerData.duration = duration
 
         const regRes = await fetch(`${API}/api/v1/files/register`, {
           method: 'POST',
@@ -276,8 +543,9 @@ export default function App() {
     if (!project) return
     const t = project.tracks[trackIndex]
     const start = playhead
-    // Use actual file duration, fallback to 5 seconds if unknown
-    const duration = file.duration || 5
+    // Stills have no real duration (a probe reports a single frame), so give them a fixed default length
+    const isImage = file.mimetype?.startsWith('image')
+    const duration = isImage ? STILL_DEFAULT_SECONDS : (file.duration || 5)
     const clip = { id: crypto.randomUUID(), fileId: file.id, name: file.name, in: 0, out: duration, start, type: t.type }
     // If adding a video with audio, also drop an audio clip to first audio track
     let extra = []
@@ -301,9 +569,9 @@ export default function App() {
   const duration = useMemo(() => {
     if (!project) return 60
     let max = 10
-    for (const t of project.tracks) for (const c of t.clips) max = Math.max(max, c.start + (c.out - c.in))
+    for (const t of project.tracks) for (const c of t.clips) max = Math.max(max, clipEnd(c, isImageClip(c)))
     return Math.ceil(max + 1)
-  }, [project])
+  }, [project, imageFileIds])
 
   // Simple preview: stack <video> tags; play by syncing currentTime via RAF timer
   useEffect(() => {
@@ -340,7 +608,7 @@ export default function App() {
       for (const clip of track.clips) {
         if (clip.id === excludeClipId) continue
         points.push(clip.start) // Clip start
-        points.push(clip.start + (clip.out - clip.in)) // Clip end
+        points.push(clipEnd(clip, isImageClip(clip))) // Clip end
       }
     }
     return [...new Set(points)].sort((a, b) => a - b) // Remove duplicates and sort
@@ -356,47 +624,298 @@ export default function App() {
     return time
   }
 
+  // Body for /render and /render/dry-run from the toolbar settings
+  const renderRequest = () => {
+    const rateOptions = outputFormat !== 'mp4' ? {} : rateMode === 'bitrate' ? { targetBitrate: rateValue } : rateMode === 'size' ? { maxFileSize: rateValue } : {}
+    const rangeOptions = OUTPUT_FORMATS[outputFormat].still ? { stillTime: playhead } : renderRange ? { rangeStart: renderRange.start, rangeEnd: renderRange.end } : {}
+    return { preset, renditions: formatRenditions(outputFormat, LADDERS[ladder]), format: outputFormat, packaging: outputFormat === 'mp4' ? packaging : 'progressive', loudness, ...rateOptions, ...rangeOptions }
+  }
+
+  // Show the ffmpeg plan for the current settings in a new tab
+  const dryRunProject = async () => {
+    if (!project) return
+    const plan = await authFetch(`${API}/api/v1/projects/${project.id}/render/dry-run`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(renderRequest()) })
+    if (plan?.errors) setTimelineErrors(plan.errors)
+    if (plan?.error) { setStatus(plan.message || plan.error); return }
+    const url = URL.createObjectURL(new Blob([JSON.stringify(plan, null, 2)], { type: 'application/json' }))
+    window.open(url, '_blank')
+    setStatus(plan.warnings?.length ? `Dry run: ${plan.warnings.length} warning(s)` : 'Dry run OK')
+  }
+
+  // Stream the composed timeline from the range In point (or the playhead) in a new tab.
+  // The server caps previews at a minute.
+  const previewTimeline = () => {
+    if (!project) return
+    const start = renderRange ? renderRange.start : playhead
+    const duration = renderRange?.end != null ? Math.min(60, renderRange.end - start) : 10
+    const tok = (token || '').replace(/^Bearer\s+/, '')
+    const params = new URLSearchParams({ projectId: project.id, start, duration, h: '360', token: tok })
+    window.open(`${API}/api/v1/preview?${params}`, '_blank')
+  }
+
   const renderProject = async () => {
     if (!project) return
     setStatus('Rendering...')
-    const res = await authFetch(`${API}/api/v1/projects/${project.id}/render`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ preset, renditions: ['1080p'] }) })
+    const res = await authFetch(`${API}/api/v1/projects/${project.id}/render`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(renderRequest()) })
+    if (res?.errors) { setTimelineErrors(res.errors); setStatus(res.message); return }
     if (res?.job?.id) {
       const id = res.job.id
       setStatus(`Render started (job ${id})`)
       const tk = (token || '').replace(/^Bearer\s+/, '')
       const ev = new EventSource(`${API}/api/v1/jobs/${id}/events?token=${encodeURIComponent(tk)}`)
       ev.addEventListener('progress', (msg) => {
-        try { const data = JSON.parse(msg.data); setStatus(`Rendering... ${data.time || ''}`) } catch { }
+        try { const data = JSON.parse(msg.data); setStatus(`Rendering... ${data.passes ? `pass ${data.pass}/${data.passes} ` : ''}${data.time || ''}`) } catch { }
       })
       ev.addEventListener('ping', () => {/*keep alive*/ })
       ev.onerror = () => { ev.close() }
     }
     if (res?.output) {
-      const videoUrl = `${API}${res.output}`
+      const outputs = res.outputs || [{ rendition: 'video', output: res.output }]
       setStatus(
         <>
           Render complete!
-          <button
-            className="btn"
-            onClick={() => window.open(videoUrl, '_blank')}
-            style={{ marginLeft: '8px' }}
-          >
-            Download Video
-          </button>
+          {outputs.map(o => (
+            <button
+              key={o.rendition}
+              className="btn"
+              onClick={() => window.open(`${API}${o.output}`, '_blank')}
+              style={{ marginLeft: '8px' }}
+            >
+              Download {o.rendition}
+            </button>
+          ))}
+          {res.playlistUrl && (
+            <button className="btn" onClick={() => navigator.clipboard?.writeText(`${API}${res.playlistUrl}`)} style={{ marginLeft: '8px' }}>
+              Copy HLS URL
+            </button>
+          )}
+          {(res.subtitles || []).map(sub => ['srt', 'vtt'].map(format => (
+            <button key={`${sub.srt}-${format}`} className="btn" onClick={() => window.open(`${API}${sub[format]}`, '_blank')} style={{ marginLeft: '8px' }}>
+              {sub.language} .{format}
+            </button>
+          )))}
+          {(res.job?.rateControl?.achieved || []).map(a => (
+            <span key={a.rendition} className="tag" style={{ marginLeft: '8px' }} title={a.withinBudget === false ? 'Over the file-size budget' : undefined}>
+              {a.rendition}: {(a.size / 1024 / 1024).toFixed(1)} MB @ {a.bitrate} kbps{a.withinBudget === false ? ' (over budget)' : ''}
+            </span>
+          ))}
+          {res.job?.loudness?.output && (
+            <span className="tag" style={{ marginLeft: '8px' }}>
+              {res.job.loudness.output.integrated} LUFS / {res.job.loudness.output.truePeak} dBTP
+            </span>
+          )}
+          {res.dashManifestUrl && (
+            <button className="btn" onClick={() => navigator.clipboard?.writeText(`${API}${res.dashManifestUrl}`)} style={{ marginLeft: '8px' }}>
+              Copy DASH URL
+            </button>
+          )}
         </>
       )
+    } else if (res?.message) {
+      setStatus(`Render failed: ${res.message}`)
     }
   }
 
   const pxPerSec = zoom
+  const canvasWidth = project?.width || 1920
+  const canvasHeight = project?.height || 1080
+  const clipErrors = (c) => timelineErrors.filter(e => e.clipId === c.id)
+  const isLandscape = canvasWidth >= canvasHeight
   const totalWidth = Math.max(timelineWidth, duration * pxPerSec + 200)
 
+  // Apply a transition to a track, moving the incoming clip so it overlaps the outgoing one
+  const withTransition = (track, tr) => {
+    const a = track.clips.find(c => c.id === tr.fromClipId)
+    return {
+      ...track,
+      clips: track.clips.map(c => c.id === tr.toClipId ? { ...c, start: Math.max(0, clipEnd(a, isImageClip(a)) - tr.duration) } : c),
+      transitions: [...(track.transitions || []).filter(x => x.id !== tr.id), tr]
+    }
+  }
+
+  // Add a transition between two adjacent clips; linked audio clips (same file and start) get an audio crossfade
+  const addTransition = (ti, from, to) => {
+    const duration = Math.min(1, clipLength(from, isImageClip(from)) / 2, clipLength(to, isImageClip(to)) / 2)
+    const tr = { id: crypto.randomUUID(), type: 'crossfade', fromClipId: from.id, toClipId: to.id, duration }
+    const linked = (c, t) => t.clips.find(x => x.fileId === c.fileId && Math.abs(x.start - c.start) < 0.01)
+    const next = {
+      ...project, tracks: project.tracks.map((t, i) => {
+        if (i === ti) return withTransition(t, tr)
+        if (t.type !== 'audio' || project.tracks[ti].type !== 'video') return t
+        const la = linked(from, t), lb = linked(to, t)
+        return la && lb ? withTransition(t, { ...tr, type: 'crossfade', fromClipId: la.id, toClipId: lb.id }) : t
+      })
+    }
+    setProject(next)
+    saveTimeline(next)
+  }
+
+  // Update a transition (and its linked audio crossfade, which shares the id)
+  const updateTransition = (p, id, changes) => ({
+    ...p, tracks: p.tracks.map(t => {
+      const tr = t.transitions?.find(x => x.id === id)
+      if (!tr) return t
+      return withTransition(t, { ...tr, ...changes, type: t.type === 'audio' ? 'crossfade' : (changes.type || tr.type) })
+    })
+  })
+
+  const removeTransition = (id) => {
+    const next = { ...project, tracks: project.tracks.map(t => t.transitions ? { ...t, transitions: t.transitions.filter(x => x.id !== id) } : t) }
+    setProject(next)
+    saveTimeline(next)
+  }
+
+  // Drag the left edge of a transition to change its duration
+  const startTransitionResize = (e, t, tr) => {
+    e.stopPropagation()
+    const a = t.clips.find(c => c.id === tr.fromClipId)
+    const b = t.clips.find(c => c.id === tr.toClipId)
+    const max = Math.min(clipLength(a, isImageClip(a)), clipLength(b, isImageClip(b))) - 0.1
+    const startX = e.clientX
+    const onMove = (ev) => {
+      const duration = Math.max(0.1, Math.min(max, tr.duration - (ev.clientX - startX) / pxPerSec))
+      const p = updateTransition(projectRef.current || project, tr.id, { duration: Math.round(duration * 100) / 100 })
+      projectRef.current = p
+      setProject(p)
+    }
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove)
+      window.removeEventListener('mouseup', onUp)
+      saveTimeline(projectRef.current)
+    }
+    window.addEventListener('mousemove', onMove)
+    window.addEventListener('mouseup', onUp)
+  }
+
   const addTrack = (type) => {
-    const next = { ...project, tracks: [...project.tracks, { id: crypto.randomUUID(), type, name: (type === 'video' ? 'V' : 'A') + (project.tracks.length + 1), clips: [] }] }
+    const next = { ...project, tracks: [...project.tracks, { id: crypto.randomUUID(), type, name: TRACK_PREFIX[type] + (project.tracks.length + 1), clips: [] }] }
+    setProject(next)
+    saveTimeline(next)
+  }
+
+  // Subtitle files become one clip holding all their cues, on the first subtitle track
+  const addSubtitleClip = async (file) => {
+    const ti = project.tracks.findIndex(t => t.type === 'subtitle')
+    if (ti < 0) { setStatus('Add a subtitle track first'); return }
+    const res = await authFetch(`${API}/api/v1/files/${file.id}/cues`)
+    if (!res?.cues?.length) { setStatus(`No cues in ${file.name}`); return }
+    const out = res.cues[res.cues.length - 1].end
+    const clip = { id: crypto.randomUUID(), fileId: file.id, name: file.name, type: 'subtitle', in: 0, out, start: playhead, cues: res.cues }
+    const next = { ...project, tracks: project.tracks.map((t, i) => i === ti ? { ...t, clips: [...t.clips, clip] } : t) }
+    setProject(next)
+    setSelectedClipId(clip.id)
+    saveTimeline(next)
+  }
+
+  // Drop a title card on the first text track at the playhead
+  const addTextClip = () => {
+    const ti = project.tracks.findIndex(t => t.type === 'text')
+    if (ti < 0) return
+    const text = prompt('Title text?', 'Title')
+    if (!text) return
+    const clip = { id: crypto.randomUUID(), name: text, type: 'text', in: 0, out: 4, start: playhead, text, size: Math.round(canvasHeight * 0.06), color: '#ffffff', position: 'lower-third', box: true, fadeIn: 0.3, fadeOut: 0.3 }
+    const next = { ...project, tracks: project.tracks.map((t, i) => i === ti ? { ...t, clips: [...t.clips, clip] } : t) }
+    setProject(next)
+    setSelectedClipId(clip.id)
+    saveTimeline(next)
+  }
+
+  // Patch the selected clip; the inspector saves on every change
+  const updateClip = (clipId, changes) => {
+    const next = { ...project, tracks: project.tracks.map(t => ({ ...t, clips: t.clips.map(c => c.id === clipId ? { ...c, ...changes } : c) })) }
     setProject(next)
     saveTimeline(next)
   }
 
+  // Patch a track (audio gain, mute, solo); saved immediately like clip edits
+  const updateTrack = (trackId, changes) => {
+    const next = { ...project, tracks: project.tracks.map(t => t.id === trackId ? { ...t, ...changes } : t) }
+    setProject(next)
+    saveTimeline(next)
+  }
+
+  const selectedClip = project?.tracks.flatMap(t => t.clips).find(c => c.id === selectedClipId) || null
+  const selectedIsImage = !!selectedClip && isImageClip(selectedClip)
+
+  // Speed and reverse apply to the clip and its linked clips (same file and start) so picture and sound stay in sync
+  const updateClipTiming = (clip, changes) => {
+    const linked = c => c.id === clip.id || (c.fileId === clip.fileId && Math.abs(c.start - clip.start) < 0.01 && !c.freeze)
+    const next = pruneTransitions({ ...project, tracks: project.tracks.map(t => ({ ...t, clips: t.clips.map(c => linked(c) ? { ...c, ...changes } : c) })) }, isImageClip)
+    setProject(next)
+    saveTimeline(next)
+  }
+
+  // Split the selected clip at the playhead and hold that frame for `hold` seconds; later clips
+  // (and the linked audio's second half) move right to make room
+  const insertFreezeFrame = (hold = 2) => {
+    const clip = selectedClip
+    const local = playhead - clip.start
+    if (clip.freeze || local <= 0.05 || local >= clipLength(clip, isImageClip(clip)) - 0.05) {
+      setStatus('Move the playhead inside the clip to freeze a frame')
+      return
+    }
+    const at = playhead
+    const src = sourceTime(clip, local, isImageClip(clip))
+    // Keyframes stay with the part of the clip they were set on
+    const shiftKeyframes = (kf) => kf && Object.fromEntries(Object.entries(kf).map(([prop, keys]) => [prop, keys.map(k => ({ ...k, time: k.time - local })).filter(k => k.time >= 0)]))
+    const linked = c => c.id === clip.id || (c.fileId === clip.fileId && Math.abs(c.start - clip.start) < 0.01)
+    const next = pruneTransitions({
+      ...project, tracks: project.tracks.map(t => ({
+        ...t, clips: t.clips.flatMap(c => {
+          if (c.start >= at) return [{ ...c, start: c.start + hold }]
+          if (!linked(c)) return [c]
+          const head = c.reverse ? { ...c, in: src } : { ...c, out: src }
+          const tail = { ...c, id: crypto.randomUUID(), start: at + hold, keyframes: shiftKeyframes(c.keyframes), ...(c.reverse ? { out: src } : { in: src }) }
+          if (c.id !== clip.id) return [head, tail]
+          const freeze = { id: crypto.randomUUID(), name: `${c.name} (freeze)`, type: c.type, fileId: c.fileId, in: src, out: src, start: at, freeze: { duration: hold }, transform: c.transform, fitMode: c.fitMode }
+          return [head, freeze, tail]
+        })
+      }))
+    }, isImageClip)
+    setProject(next)
+    saveTimeline(next)
+  }
+
+  // Keyframes are edited at the playhead, in the selected clip's local time
+  const clipTime = selectedClip ? Math.round(Math.max(0, Math.min(playhead - selectedClip.start, clipLength(selectedClip, isImageClip(selectedClip)))) * 1000) / 1000 : 0
+  const keyframeAt = (prop) => selectedClip?.keyframes?.[prop]?.find(k => Math.abs(k.time - clipTime) < 0.02)
+  const setKeyframes = (prop, keys) => {
+    const keyframes = { ...selectedClip.keyframes, [prop]: [...keys].sort((a, b) => a.time - b.time) }
+    if (keys.length === 0) delete keyframes[prop]
+    updateClip(selectedClip.id, { keyframes: Object.keys(keyframes).length ? keyframes : undefined })
+  }
+  const toggleKeyframe = (prop, value) => {
+    const keys = selectedClip.keyframes?.[prop] || []
+    const existing = keyframeAt(prop)
+    setKeyframes(prop, existing ? keys.filter(k => k !== existing) : [...keys, { time: clipTime, value, easing: 'linear' }])
+  }
+  // With keyframes, edits set (or add) the key at the playhead; otherwise they set the static value
+  const setAnimatable = (prop, value, setStatic) => {
+    const keys = selectedClip.keyframes?.[prop]
+    if (!keys?.length) return setStatic(value)
+    const existing = keyframeAt(prop)
+    setKeyframes(prop, existing ? keys.map(k => k === existing ? { ...k, value } : k) : [...keys, { time: clipTime, value, easing: 'linear' }])
+  }
+  const keyframedField = (prop, label, value, step, setStatic) => {
+    const key = keyframeAt(prop)
+    return (
+      <label key={prop}>{label}
+        <span className="keyframed">
+          <input type="number" step={step} value={Math.round(value * 1000) / 1000}
+            onChange={e => setAnimatable(prop, parseFloat(e.target.value) || 0, setStatic)} />
+          <button className={`keyframe-toggle${key ? ' active' : ''}`} title={key ? 'Remove keyframe' : 'Add keyframe at playhead'}
+            onClick={() => toggleKeyframe(prop, value)}>◆</button>
+          {key && (
+            <select value={key.easing || 'linear'} title="Easing to the next keyframe"
+              onChange={e => setKeyframes(prop, selectedClip.keyframes[prop].map(k => k === key ? { ...k, easing: e.target.value } : k))}>
+              {Object.keys(KEYFRAME_EASINGS).map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          )}
+        </span>
+      </label>
+    )
+  }
+
   // Views
   if (view === 'login') return (
     <div className="app" style={{ gridTemplateRows: `56px 1fr ${timelineHeight}px`, position: 'relative' }}>
@@ -482,6 +1001,9 @@ export default function App() {
           </>}
           <span style={{ marginLeft: 16 }}>Zoom:</span>
           <input type="range" min="10" max="200" value={zoom} onChange={e => setZoom(parseInt(e.target.value))} />
+          <select value={format} onChange={(e) => setFormat(e.target.value)}>
+            {Object.keys(FORMATS).map(f => <option key={f} value={f}>{f}</option>)}
+          </select>
           <button className="btn" onClick={createProject} disabled={!user}>New Project</button>
           <span className="tag">Preset</span>
           <select value={preset} onChange={(e) => setPreset(e.target.value)}>
@@ -489,6 +1011,31 @@ export default function App() {
             <option value="medium">Medium</option>
             <option value="quality">Quality</option>
           </select>
+          <select value={ladder} onChange={(e) => setLadder(e.target.value)}>
+            {Object.keys(LADDERS).map(l => <option key={l} value={l}>{l}</option>)}
+          </select>
+          <select value={outputFormat} onChange={(e) => setOutputFormat(e.target.value)} title="Output format">
+            {Object.entries(OUTPUT_FORMATS).map(([name, f]) => <option key={name} value={name}>{f.label}</option>)}
+          </select>
+          <select value={rateMode} onChange={(e) => { setRateMode(e.target.value); setRateValue(e.target.value === 'size' ? 50 : 2500) }} disabled={outputFormat !== 'mp4'} title="Rate control">
+            <option value="crf">Constant quality</option>
+            <option value="bitrate">Target bitrate (kbps)</option>
+            <option value="size">Max file size (MB)</option>
+          </select>
+          {rateMode !== 'crf' && outputFormat === 'mp4' && (
+            <input type="number" min={rateMode === 'size' ? 1 : 100} step={rateMode === 'size' ? 1 : 100} value={rateValue} style={{ width: 80 }}
+              onChange={(e) => setRateValue(Math.max(1, parseFloat(e.target.value) || 0))} />
+          )}
+          <select value={packaging} onChange={(e) => setPackaging(e.target.value)} disabled={outputFormat !== 'mp4'}>
+            <option value="progressive">MP4</option>
+            <option value="hls">HLS</option>
+            <option value="hls+dash">HLS + DASH</option>
+          </select>
+          <select value={loudness} onChange={(e) => setLoudness(e.target.value)} title="Loudness normalization">
+            <option value="off">No loudness normalization</option>
+            <option value="streaming">-14 LUFS (streaming)</option>
+            <option value="ebu-r128">-23 LUFS (EBU R128)</option>
+          </select>
           <select onChange={(e) => setProject(projects.find(p => p.id === e.target.value))} value={project?.id || ''}>
             <option value="">Select project</option>
             {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
@@ -496,6 +1043,16 @@ export default function App() {
           <span className="tag">Playhead: {secondsToTime(playhead)}</span>
           <button className="btn" onClick={playPause} disabled={!project}>{isPlaying ? 'Pause' : 'Play'}</button>
           <button className="btn" onClick={stop} disabled={!project}>Stop</button>
+          <button className="btn" onClick={() => setRenderRange(r => ({ start: playhead, end: r?.end > playhead ? r.end : null }))} disabled={!project} title="Start the export range at the playhead">Set In</button>
+          <button className="btn" onClick={() => setRenderRange(r => (r?.start ?? 0) < playhead ? { start: r?.start ?? 0, end: playhead } : r)} disabled={!project} title="End the export range at the playhead">Set Out</button>
+          {renderRange && (
+            <span className="tag" title="Only this part of the timeline is rendered">
+              Range {secondsToTime(renderRange.start)} – {renderRange.end != null ? secondsToTime(renderRange.end) : 'end'}
+              <button className="btn" onClick={() => setRenderRange(null)} style={{ marginLeft: 4 }}>×</button>
+            </span>
+          )}
+          <button className="btn" onClick={previewTimeline} disabled={!project} title="Play the composed timeline at low resolution">Preview</button>
+          <button className="btn" onClick={dryRunProject} disabled={!project} title="Show the ffmpeg plan without rendering">Dry run</button>
           <button className="btn" onClick={renderProject} disabled={!project}>Render</button>
           <span>{status}</span>
         </div>
@@ -508,6 +1065,12 @@ export default function App() {
           <div style={{ marginTop: 12 }}>
             {files.map(f => (
               <div key={f.id} className="library-item" onClick={() => {
+                if (SUBTITLE_MIMETYPES.includes(f.mimetype)) { if (project) addSubtitleClip(f); return }
+                // LUTs are not clips; clicking one applies it to the selected video clip
+                if (f.mimetype === LUT_MIMETYPE) {
+                  if (selectedClip?.type === 'video') updateClip(selectedClip.id, { color: { ...selectedClip.color, lutFileId: f.id } })
+                  return
+                }
                 // add to first matching track type at playhead
                 const idx = project?.tracks.findIndex(t => t.type === (f.mimetype.startsWith('audio') ? 'audio' : 'video')) ?? -1
                 if (idx >= 0) addClip(idx, f)
@@ -516,28 +1079,200 @@ export default function App() {
                   <strong style={{ maxWidth: 160, overflow: 'hidden', textOverflow: 'ellipsis' }}>{f.name}</strong>
                   <span className="tag">{f.mimetype}</span>
                 </div>
+                {(f.thumbnail || f.thumbnailS3Key) && <img className="library-thumb" src={`${API}/api/v1/files/${f.id}/thumbnail?token=${encodeURIComponent((token || '').replace(/^Bearer\s+/, ''))}`} alt="" />}
                 <div style={{ fontSize: 12, color: '#aaa' }}>
                   id: {f.id}
                   {f.duration && <div>duration: {secondsToTime(f.duration)}</div>}
+                  {f.media?.video?.frameRate && <div>{f.media.video.displayWidth}×{f.media.video.displayHeight} · {f.media.video.frameRate} fps{f.media.video.vfr ? ' (variable)' : ''}</div>}
+                  {f.media?.audio && <div>{f.media.audio.codec} · {f.media.audio.channelLayout || `${f.media.audio.channels} ch`}{f.media.audio.sampleRate ? ` · ${f.media.audio.sampleRate / 1000} kHz` : ''}</div>}
+                  {f.ingestStatus && f.ingestStatus !== 'ready' && (
+                    <div className={`ingest ${f.ingestStatus}`} title={Object.entries(f.ingest?.errors || {}).map(([k, v]) => `${k}: ${v}`).join('\n')}>
+                      {f.ingestStatus === 'failed' ? 'ingest failed' : `processing${f.ingest?.steps ? ` (${Object.keys(f.ingest.steps).join(', ')})` : ''}...`}
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
           </div>
+          {selectedClip?.type === 'video' && (
+            <div className="inspector">
+              <h3>Transform</h3>
+              <label>Fit
+                <select value={selectedClip.fitMode || ''} onChange={e => updateClip(selectedClip.id, { fitMode: e.target.value || undefined })}>
+                  <option value="">project ({project.fitMode || 'fit-in'})</option>
+                  <option value="fit-in">fit-in</option>
+                  <option value="fit-out">fit-out</option>
+                </select>
+              </label>
+              {[['x', 'X (0-1)', 0.5, 0.01], ['y', 'Y (0-1)', 0.5, 0.01], ['scale', 'Scale', 1, 0.05], ['rotation', 'Rotation (°)', 0, 1], ['opacity', 'Opacity', 1, 0.05]].map(([key, label, def, step]) =>
+                keyframedField(key, label, animatedTransform(selectedClip, clipTime)?.[key] ?? def, step,
+                  value => updateClip(selectedClip.id, { transform: { ...selectedClip.transform, [key]: value } }))
+              )}
+              {['x', 'y', 'w', 'h'].map(key => (
+                <label key={key}>Crop {key}
+                  <input type="number" min="0" max="1" step="0.01" value={selectedClip.transform?.crop?.[key] ?? (key === 'w' || key === 'h' ? 1 : 0)}
+                    onChange={e => updateClip(selectedClip.id, { transform: { ...selectedClip.transform, crop: { x: 0, y: 0, w: 1, h: 1, ...selectedClip.transform?.crop, [key]: parseFloat(e.target.value) || 0 } } })} />
+                </label>
+              ))}
+              {selectedClip.transform && <button className="btn" onClick={() => updateClip(selectedClip.id, { transform: undefined })}>Reset transform</button>}
+              {selectedClip.keyframes && <button className="btn" onClick={() => updateClip(selectedClip.id, { keyframes: undefined })}>Clear keyframes</button>}
+            </div>
+          )}
+          {project?.tracks.some(t => t.role === 'dialogue') && project.tracks.filter(t => t.role === 'music').map(t => (
+            <div key={t.id} className="inspector">
+              <h3>Ducking: {t.name}</h3>
+              <label>Threshold (dB) <input type="number" min="-60" max="0" step="1" value={t.ducking?.threshold ?? DUCKING_DEFAULTS.threshold} onChange={e => updateTrack(t.id, { ducking: { ...t.ducking, threshold: parseFloat(e.target.value) || 0 } })} /></label>
+              <label>Ratio <input type="number" min="1" max="20" step="0.5" value={t.ducking?.ratio ?? DUCKING_DEFAULTS.ratio} onChange={e => updateTrack(t.id, { ducking: { ...t.ducking, ratio: parseFloat(e.target.value) || 1 } })} /></label>
+              <label>Release (ms) <input type="number" min="10" max="9000" step="50" value={t.ducking?.release ?? DUCKING_DEFAULTS.release} onChange={e => updateTrack(t.id, { ducking: { ...t.ducking, release: parseFloat(e.target.value) || 10 } })} /></label>
+            </div>
+          ))}
+          {selectedClip?.type === 'subtitle' && (() => {
+            const track = project.tracks.find(t => t.clips.some(c => c.id === selectedClip.id))
+            const setCues = (cues) => updateClip(selectedClip.id, { cues: [...cues].sort((a, b) => a.start - b.start), out: Math.max(selectedClip.out, ...cues.map(c => c.end)) })
+            return (
+              <div className="inspector">
+                <h3>Subtitles: {track.name}</h3>
+                <label>Burn in <input type="checkbox" checked={!!track.burnIn} onChange={e => updateTrack(track.id, { burnIn: e.target.checked })} /></label>
+                <label>Language <input type="text" maxLength="3" size="4" value={track.language || ''} placeholder="und" onChange={e => updateTrack(track.id, { language: e.target.value.toLowerCase() || undefined })} /></label>
+                <label>Size (px) <input type="number" min="8" step="1" value={track.style?.size ?? Math.round(canvasHeight * 0.05)} onChange={e => updateTrack(track.id, { style: { ...track.style, size: Math.max(8, parseInt(e.target.value) || 8) } })} /></label>
+                <label>Color <input type="color" value={track.style?.color || '#ffffff'} onChange={e => updateTrack(track.id, { style: { ...track.style, color: e.target.value } })} /></label>
+                <label>Position
+                  <select value={track.style?.position || 'bottom'} onChange={e => updateTrack(track.id, { style: { ...track.style, position: e.target.value } })}>
+                    <option value="bottom">bottom</option>
+                    <option value="top">top</option>
+                  </select>
+                </label>
+                <div className="cues">
+                  {(selectedClip.cues || []).map((cue, i) => (
+                    <div key={i} className="cue">
+                      <input type="number" step="0.1" min="0" value={cue.start} title="Start (s, source time)" onChange={e => setCues(selectedClip.cues.map((c, j) => j === i ? { ...c, start: Math.max(0, parseFloat(e.target.value) || 0) } : c))} />
+                      <input type="number" step="0.1" min="0" value={cue.end} title="End (s, source time)" onChange={e => setCues(selectedClip.cues.map((c, j) => j === i ? { ...c, end: Math.max(0, parseFloat(e.target.value) || 0) } : c))} />
+                      <textarea rows="2" value={cue.text} onChange={e => setCues(selectedClip.cues.map((c, j) => j === i ? { ...c, text: e.target.value } : c))} />
+                      <button className="btn" title="Delete cue" onClick={() => setCues(selectedClip.cues.filter((_, j) => j !== i))}>×</button>
+                    </div>
+                  ))}
+                </div>
+                <button className="btn" onClick={() => {
+                  const start = Math.round(Math.max(0, selectedClip.in + (playhead - selectedClip.start)) * 1000) / 1000
+                  setCues([...(selectedClip.cues || []), { start, end: start + 2, text: 'New cue' }])
+                }}>Add cue at playhead</button>
+              </div>
+            )
+          })()}
+          {selectedClip?.type === 'video' && (
+            <div className="inspector">
+              <h3>Color</h3>
+              {COLOR_CONTROLS.map(([key, label, min, max, step]) => (
+                <label key={key}>{label}
+                  <input type="number" min={min} max={max} step={step} value={selectedClip.color?.[key] ?? 0}
+                    onChange={e => updateClip(selectedClip.id, { color: { ...selectedClip.color, [key]: Math.min(max, Math.max(min, parseFloat(e.target.value) || 0)) } })} />
+                </label>
+              ))}
+              <label>LUT
+                <select value={selectedClip.color?.lutFileId || ''} onChange={e => updateClip(selectedClip.id, { color: { ...selectedClip.color, lutFileId: e.target.value || undefined } })}>
+                  <option value="">none</option>
+                  {files.filter(f => f.mimetype === LUT_MIMETYPE).map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+                </select>
+              </label>
+              {selectedClip.color && <button className="btn" onClick={() => updateClip(selectedClip.id, { color: undefined })}>Reset color</button>}
+            </div>
+          )}
+          {selectedClip?.type === 'video' && (
+            <div className="inspector">
+              <h3>Chroma key</h3>
+              <label>Enabled <input type="checkbox" checked={!!selectedClip.chromaKey} onChange={e => updateClip(selectedClip.id, { chromaKey: e.target.checked ? { ...CHROMA_KEY_DEFAULTS } : undefined })} /></label>
+              {selectedClip.chromaKey && <>
+                <label>Key color <input type="color" value={selectedClip.chromaKey.color || CHROMA_KEY_DEFAULTS.color} onChange={e => updateClip(selectedClip.id, { chromaKey: { ...selectedClip.chromaKey, color: e.target.value } })} /></label>
+                {[['similarity', 'Similarity', 0.01], ['blend', 'Blend', 0], ['spill', 'Spill suppression', 0]].map(([key, label, min]) => (
+                  <label key={key}>{label}
+                    <input type="number" min={min} max="1" step="0.01" value={selectedClip.chromaKey[key] ?? CHROMA_KEY_DEFAULTS[key]}
+                      onChange={e => updateClip(selectedClip.id, { chromaKey: { ...selectedClip.chromaKey, [key]: Math.min(1, Math.max(min, parseFloat(e.target.value) || 0)) } })} />
+                  </label>
+                ))}
+                <button className="btn" onClick={() => {
+                  const k = { ...CHROMA_KEY_DEFAULTS, ...selectedClip.chromaKey }
+                  const tok = (token || '').replace(/^Bearer\s+/, '')
+                  const params = new URLSearchParams({ fileId: selectedClip.fileId, h: '360', keyColor: k.color.slice(1), similarity: k.similarity, blend: k.blend, spill: k.spill, token: tok })
+                  window.open(`${API}/api/v1/preview?${params}`, '_blank')
+                }}>Preview key</button>
+              </>}
+            </div>
+          )}
+          {(selectedClip?.type === 'video' || selectedClip?.type === 'audio') && !selectedIsImage && (
+            <div className="inspector">
+              <h3>Timing</h3>
+              {selectedClip.freeze ? (
+                <label>Hold (s) <input type="number" min="0.1" step="0.1" value={selectedClip.freeze.duration} onChange={e => updateClip(selectedClip.id, { freeze: { duration: Math.max(0.1, parseFloat(e.target.value) || 0.1) } })} /></label>
+              ) : <>
+                <label>Speed (x) <input type="number" min={SPEED_LIMITS.min} max={SPEED_LIMITS.max} step="0.25" value={clipSpeed(selectedClip, isImageClip(selectedClip))} onChange={e => updateClipTiming(selectedClip, { speed: Math.min(SPEED_LIMITS.max, Math.max(SPEED_LIMITS.min, parseFloat(e.target.value) || 1)) })} /></label>
+                <label>Reverse <input type="checkbox" checked={!!selectedClip.reverse} onChange={e => updateClipTiming(selectedClip, { reverse: e.target.checked })} /></label>
+                {selectedClip.type === 'video' && <button className="btn" onClick={() => insertFreezeFrame()}>Freeze frame at playhead</button>}
+              </>}
+            </div>
+          )}
+          {selectedClip?.type === 'audio' && (
+            <div className="inspector">
+              <h3>Audio</h3>
+              {keyframedField('volume', 'Volume (x)', selectedClip.keyframes?.volume?.length ? keyframeValue(selectedClip.keyframes.volume, clipTime) : 1, 0.05,
+                value => setKeyframes('volume', [{ time: clipTime, value, easing: 'linear' }]))}
+              <label>Gain (dB) <input type="number" step="0.5" min="-60" max="24" value={selectedClip.gain ?? 0} onChange={e => updateClip(selectedClip.id, { gain: parseFloat(e.target.value) || 0 })} /></label>
+              <label>Fade in (s) <input type="number" min="0" step="0.1" value={selectedClip.fadeIn ?? 0} onChange={e => updateClip(selectedClip.id, { fadeIn: Math.max(0, parseFloat(e.target.value) || 0) })} /></label>
+              <label>Fade out (s) <input type="number" min="0" step="0.1" value={selectedClip.fadeOut ?? 0} onChange={e => updateClip(selectedClip.id, { fadeOut: Math.max(0, parseFloat(e.target.value) || 0) })} /></label>
+              <label>Pan (L -1 … 1 R) <input type="number" min="-1" max="1" step="0.1" value={selectedClip.pan ?? 0} onChange={e => updateClip(selectedClip.id, { pan: Math.min(1, Math.max(-1, parseFloat(e.target.value) || 0)) })} /></label>
+              {selectedClip.keyframes && <button className="btn" onClick={() => updateClip(selectedClip.id, { keyframes: undefined })}>Clear keyframes</button>}
+            </div>
+          )}
+          {selectedClip && files.find(f => f.id === selectedClip.fileId)?.mimetype?.startsWith('image') && (
+            <div className="inspector">
+              <h3>Still image</h3>
+              <label>Duration (s) <input type="number" min="0.1" step="0.1" value={selectedClip.out - selectedClip.in} onChange={e => updateClip(selectedClip.id, { in: 0, out: Math.max(0.1, parseFloat(e.target.value) || 0.1) })} /></label>
+              <label>Pan/zoom
+                <select value={Object.keys(MOTION_PRESETS).find(k => JSON.stringify(MOTION_PRESETS[k]) === JSON.stringify(selectedClip.motion || null)) || 'custom'}
+                  onChange={e => updateClip(selectedClip.id, { motion: MOTION_PRESETS[e.target.value] })}>
+                  {Object.keys(MOTION_PRESETS).map(k => <option key={k} value={k}>{k}</option>)}
+                  <option value="custom" disabled>custom</option>
+                </select>
+              </label>
+            </div>
+          )}
+          {selectedClip?.type === 'text' && (
+            <div className="inspector">
+              <h3>Text</h3>
+              <textarea value={selectedClip.text} rows={3} onChange={e => updateClip(selectedClip.id, { text: e.target.value, name: e.target.value })} />
+              <label>Font <input value={selectedClip.font || 'Sans'} onChange={e => updateClip(selectedClip.id, { font: e.target.value })} /></label>
+              <label>Size <input type="number" min="8" max="400" value={selectedClip.size} onChange={e => updateClip(selectedClip.id, { size: parseInt(e.target.value) || 8 })} /></label>
+              <label>Color <input type="color" value={selectedClip.color || '#ffffff'} onChange={e => updateClip(selectedClip.id, { color: e.target.value })} /></label>
+              <label>Position
+                <select value={selectedClip.position || 'center'} onChange={e => updateClip(selectedClip.id, { position: e.target.value })}>
+                  {TEXT_POSITIONS.map(p => <option key={p} value={p}>{p}</option>)}
+                </select>
+              </label>
+              <label><input type="checkbox" checked={!!selectedClip.box} onChange={e => updateClip(selectedClip.id, { box: e.target.checked })} /> Background box</label>
+              {selectedClip.box && <label>Box color <input type="color" value={(selectedClip.boxColor || '#000000').slice(0, 7)} onChange={e => updateClip(selectedClip.id, { boxColor: e.target.value })} /></label>}
+              <label>Duration (s) <input type="number" min="0.1" step="0.1" value={selectedClip.out - selectedClip.in} onChange={e => updateClip(selectedClip.id, { in: 0, out: Math.max(0.1, parseFloat(e.target.value) || 0.1) })} /></label>
+              <label>Fade in (s) <input type="number" min="0" step="0.1" value={selectedClip.fadeIn || 0} onChange={e => updateClip(selectedClip.id, { fadeIn: Math.max(0, parseFloat(e.target.value) || 0) })} /></label>
+              <label>Fade out (s) <input type="number" min="0" step="0.1" value={selectedClip.fadeOut || 0} onChange={e => updateClip(selectedClip.id, { fadeOut: Math.max(0, parseFloat(e.target.value) || 0) })} /></label>
+            </div>
+          )}
         </div>
 
         <div className="preview">
           <div className="video-stage" ref={stageRef} style={{
-            width: '100%',
-            height: 'auto',
-            aspectRatio: '16 / 9', // Always maintain 16:9 aspect ratio
+            // Match the project canvas; portrait and square canvases are sized by height
+            width: isLandscape ? '100%' : 'auto',
+            height: isLandscape ? 'auto' : 420,
+            margin: '0 auto',
+            aspectRatio: `${canvasWidth} / ${canvasHeight}`,
+            containerType: 'size', // lets text layers size in cqh like drawtext sizes in canvas pixels
             position: 'relative',
             overflow: 'hidden'
           }}>
-            {project?.tracks.filter(t => t.type === 'video').map((t, ti) => t.clips.map(c => {
+            {project?.tracks.filter(t => t.type === 'video' || t.type === 'text').map((t, ti) => t.clips.map(c => {
+              if (t.type === 'text') return <TextLayer key={c.id} clip={c} playhead={playhead} canvasHeight={canvasHeight} />
               const file = files.find(f => f.id === c.fileId)
               if (!file) return null
-              const visible = playhead >= c.start && playhead <= c.start + (c.out - c.in)
-              const current = Math.max(0, Math.min((playhead - c.start) + c.in, c.out))
+              const visible = playhead >= c.start && playhead <= clipEnd(c, isImageClip(c))
+              const current = sourceTime(c, playhead - c.start, isImageClip(c))
               const tok = (token || '').replace(/^Bearer\s+/, '')
               const previewUrl = `${API}/api/v1/preview?fileId=${file.id}&h=360&token=${encodeURIComponent(tok)}`
               return <video key={c.id} className="stage-layer" src={previewUrl} muted
@@ -545,13 +1280,18 @@ export default function App() {
                   display: visible ? 'block' : 'none',
                   width: '100%',
                   height: '100%',
-                  objectFit: 'cover', // Fill the 16:9 container, cropping if necessary
-                  objectPosition: 'center' // Center the content
+                  // Fill the canvas, cropping if necessary, unless the clip overrides the fit mode
+                  objectFit: c.fitMode === 'fit-in' ? 'contain' : 'cover',
+                  objectPosition: 'center', // Center the content
+                  ...transformStyle(animatedTransform(c, playhead - c.start)),
+                  ...colorStyle(c.color)
                 }}
                 onLoadedMetadata={e => e.currentTarget.currentTime = current}
                 ref={el => { if (el && visible) el.currentTime = current }}
               />
             }))}
+            {/* Subtitles sit above everything, as burned-in cues usually do */}
+            {project?.tracks.filter(t => t.type === 'subtitle').map(t => <SubtitleLayer key={t.id} track={t} playhead={playhead} canvasHeight={canvasHeight} />)}
           </div>
         </div>
       </div>
@@ -587,6 +1327,7 @@ export default function App() {
             const clipId = target.dataset.id
             const trackIndex = parseInt(target.dataset.ti)
             const clipIndex = parseInt(target.dataset.ci)
+            setSelectedClipId(clipId)
             dragRef.current = { startX: e.clientX, startY: e.clientY, origStart: project.tracks[trackIndex].clips[clipIndex].start, clipId, trackIndex, clipIndex, hoverTrack: trackIndex }
           }}
           onMouseMove={(e) => {
@@ -627,9 +1368,10 @@ export default function App() {
                 p.tracks[hoverTrack].clips.push(clip)
               }
             }
-            projectRef.current = p
-            setProject(p)
-            saveTimeline(p)
+            const pruned = pruneTransitions(p, isImageClip)
+            projectRef.current = pruned
+            setProject(pruned)
+            saveTimeline(pruned)
             dragRef.current = null
           }}
         >
@@ -639,21 +1381,67 @@ export default function App() {
               {project.tracks.map((t, ti) => (
                 <div key={t.id} className="track">
                   <div className="tag" style={{ position: 'absolute', left: 8, top: 8 }}>{t.name} ({t.type})</div>
+                  {t.type === 'audio' && (
+                    <div className="track-mix" onClick={e => e.stopPropagation()} onMouseDown={e => e.stopPropagation()}>
+                      <button className={t.muted ? 'active' : ''} title="Mute" onClick={() => updateTrack(t.id, { muted: !t.muted })}>M</button>
+                      <button className={t.solo ? 'active' : ''} title="Solo" onClick={() => updateTrack(t.id, { solo: !t.solo })}>S</button>
+                      <input type="number" step="0.5" min="-60" max="24" title="Track gain (dB)" value={t.gain ?? 0}
+                        onChange={e => updateTrack(t.id, { gain: parseFloat(e.target.value) || 0 })} />
+                      <select value={t.role || ''} title="Role for automatic ducking" onChange={e => updateTrack(t.id, { role: e.target.value || undefined })}>
+                        <option value="">no role</option>
+                        <option value="dialogue">dialogue</option>
+                        <option value="music">music</option>
+                      </select>
+                    </div>
+                  )}
                   {t.clips.map((c, ci) => {
                     const left = c.start * pxPerSec
-                    const width = (c.out - c.in) * pxPerSec
+                    const width = clipLength(c, isImageClip(c)) * pxPerSec
                     return (
-                      <div key={c.id} data-id={c.id} data-ti={ti} data-ci={ci} className={`clip ${t.type}`} style={{ left: left + 'px', width: width + 'px' }} title={`${c.name}\nDuration: ${secondsToTime(c.out - c.in)}\nTrim: ${secondsToTime(c.in)} - ${secondsToTime(c.out)}\nStart: ${secondsToTime(c.start)}`}>
+                      <div key={c.id} data-id={c.id} data-ti={ti} data-ci={ci} className={`clip ${t.type}${clipErrors(c).length ? ' invalid' : ''}`} style={{ left: left + 'px', width: width + 'px' }} title={`${c.name}\nDuration: ${secondsToTime(clipLength(c, isImageClip(c)))}\nTrim: ${secondsToTime(c.in)} - ${secondsToTime(c.out)}\nStart: ${secondsToTime(c.start)}${clipErrors(c).map(e => `\n⚠ ${e.field}: ${e.message}`).join('')}`}>
+                        {t.type === 'audio' && peaksByFile[c.fileId] && <WaveformLayer clip={c} peaks={peaksByFile[c.fileId]} pxPerSec={pxPerSec} />}
                         <div className="name">{c.name}</div>
-                        <div className="duration" style={{ fontSize: '10px', color: '#aaa', marginTop: '2px' }}>{secondsToTime(c.out - c.in)}</div>
+                        <div className="duration" style={{ fontSize: '10px', color: '#aaa', marginTop: '2px' }}>{secondsToTime(clipLength(c, isImageClip(c)))}{c.freeze ? ' ❄' : clipSpeed(c, isImageClip(c)) !== 1 ? ` ${clipSpeed(c, isImageClip(c))}x` : ''}{c.reverse ? ' ⟲' : ''}</div>
                       </div>
                     )
                   })}
+                  {(t.transitions || []).map(tr => {
+                    const a = t.clips.find(c => c.id === tr.fromClipId)
+                    if (!a) return null
+                    return (
+                      <div key={tr.id} className="transition" style={{ left: (clipEnd(a, isImageClip(a)) - tr.duration) * pxPerSec + 'px', width: tr.duration * pxPerSec + 'px' }}
+                        title={`${tr.type} ${tr.duration}s (double-click to remove)`}
+                        onClick={e => e.stopPropagation()} onDoubleClick={() => removeTransition(tr.id)}>
+                        <div className="transition-handle" onMouseDown={e => startTransitionResize(e, t, tr)} />
+                        {t.type === 'video' && (
+                          <select value={tr.type} onChange={e => {
+                            const next = updateTransition(project, tr.id, { type: e.target.value })
+                            setProject(next)
+                            saveTimeline(next)
+                          }}>
+                            {TRANSITION_TYPES.map(x => <option key={x} value={x}>{x}</option>)}
+                          </select>
+                        )}
+                      </div>
+                    )
+                  })}
+                  {[...t.clips].sort((x, y) => x.start - y.start).map((a, i, sorted) => {
+                    const b = sorted[i + 1]
+                    // Offer a transition where two clips (nearly) touch and none exists yet
+                    if (!b || Math.abs(b.start - clipEnd(a, isImageClip(a))) > 0.5 || t.transitions?.some(tr => tr.fromClipId === a.id)) return null
+                    return (
+                      <button key={`tr-${a.id}`} className="transition-add" style={{ left: clipEnd(a, isImageClip(a)) * pxPerSec - 9 + 'px' }}
+                        title="Add transition" onClick={e => { e.stopPropagation(); addTransition(ti, a, b) }}>+</button>
+                    )
+                  })}
                 </div>
               ))}
               <div style={{ display: 'flex', gap: 8, padding: '8px 12px' }}>
                 <button className="btn" onClick={() => addTrack('video')}>+ Video Track</button>
                 <button className="btn" onClick={() => addTrack('audio')}>+ Audio Track</button>
+                <button className="btn" onClick={() => addTrack('text')}>+ Text Track</button>
+                <button className="btn" onClick={() => addTrack('subtitle')}>+ Subtitle Track</button>
+                <button className="btn" onClick={addTextClip} disabled={!project.tracks.some(t => t.type === 'text')}>+ Title</button>
               </div>
             </>}
           </div>
@@ -6,6 +6,8 @@ import { fileURLToPath } from 'url'
 import dotenv from 'dotenv'
 import { router } from './routes.js'
 import { startWorker } from './worker.js'
+import config from './config.js'
+import { sendObject } from './s3.js'
 import fs from 'fs'
 
 dotenv.config()
@@ -147,6 +149,18 @@ for (const p of ['data', 'data/uploads', 'data/outputs', 'data/thumbnails']) {
 app.use('/media/uploads', express.static(path.join(__dirname, '..', 'data', 'uploads')))
 app.use('/media/outputs', express.static(path.join(__dirname, '..', 'data', 'outputs')))
 app.use('/media/thumbnails', express.static(path.join(__dirname, '..', 'data', 'thumbnails')))
+// Renders uploaded to S3 keep the same /media/outputs/<userId>/<jobId>/... paths on job
+// records; those (and the HLS/DASH segments their manifests point at) are read from S3
+if (config.features.useS3) {
+  app.get('/media/outputs/*', async (req, res) => {
+    try {
+      await sendObject({ key: `${config.s3.outputsPrefix}${req.params[0]}`, req, res })
+    } catch (e) {
+      console.error('Error serving output from S3:', e)
+      if (!res.headersSent) res.status(500).json({ error: 'Failed to read output' })
+    }
+  })
+}
 
 // API
 app.use('/api/v1', router)
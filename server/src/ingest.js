@@ -0,0 +1,156 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import config from './config.js'
+import { execCmd, probeMedia, describeMedia, generateThumbnail, storeDerivedMedia } from './video.js'
+import { ensureProxy } from './proxies.js'
+import { computePeaks } from './waveform.js'
+import { presignDownload } from './s3.js'
+import { getUserFile, saveUserFile } from './storage.js'
+import { isQueueConfigured, enqueueIngestJob } from './queue.js'
+
+// Media ingest. Uploads are saved straight away with ingestStatus 'pending'; the pipeline
+// then probes each one and builds what the editor shows for it: a thumbnail, the preview
+// proxy, a waveform image, waveform peaks for the timeline and a filmstrip. Step results
+// are written to the file record (`ingest`) as they finish so the client can poll. With
+// SQS configured the render worker ingests files stored in S3; everything else runs one
+// at a time in this process.
+
+export const INGEST_STATUSES = ['pending', 'processing', 'ready', 'failed']
+
+// The editor's stage asks for 360p previews, so that proxy is built up front
+const INGEST_PROXY_HEIGHT = 360
+const FILMSTRIP_FRAMES = 10
+const FILMSTRIP_HEIGHT = 90
+const WAVEFORM_SIZE = '1200x120'
+
+// Images ingest stores for a file, by record field, with their stored names
+export const DERIVED_IMAGES = { thumbnail: 'thumbnail.jpg', waveform: 'waveform.png', filmstrip: 'filmstrip.jpg' }
+
+// Only media is ingested; LUTs and subtitles are checked when they are uploaded
+export function needsIngest(file){
+  return /^(video|audio|image)\//.test(file.mimetype || '')
+}
+
+// Re-read before writing so fields changed since the job started are kept
+async function updateFile(username, fileId, patch){
+  const current = await getUserFile(username, fileId)
+  if (!current) return null
+  const next = { ...current, ...patch }
+  await saveUserFile(username, next)
+  return next
+}
+
+// Stored media goes on the record as `name` (local URL) or `nameS3Key`
+function assetFields(name, stored){
+  return stored.s3Key ? { [`${name}S3Key`]: stored.s3Key } : { [name]: stored.url }
+}
+
+async function waveformImage(input, username, fileId){
+  const tmp = path.join(os.tmpdir(), `waveform_${fileId}_${Date.now()}.png`)
+  await execCmd('ffmpeg', ['-y', '-i', input, '-filter_complex', `[0:a:0]aformat=channel_layouts=mono,showwavespic=s=${WAVEFORM_SIZE}:colors=#4fc3f7`, '-frames:v', '1', tmp])
+  return storeDerivedMedia(tmp, username, fileId, DERIVED_IMAGES.waveform, 'image/png')
+}
+
+// Min/max peaks the timeline draws on audio clips (see waveform.js)
+async function waveformPeaks(input, username, fileId){
+  const tmp = path.join(os.tmpdir(), `peaks_${fileId}_${Date.now()}.json`)
+  fs.writeFileSync(tmp, JSON.stringify(await computePeaks(input)))
+  return storeDerivedMedia(tmp, username, fileId, 'peaks.json', 'application/json')
+}
+
+// FILMSTRIP_FRAMES evenly spaced frames side by side in one JPEG
+async function filmstrip(input, duration, username, fileId){
+  const tmp = path.join(os.tmpdir(), `filmstrip_${fileId}_${Date.now()}.jpg`)
+  await execCmd('ffmpeg', ['-y', '-i', input, '-vf', `fps=${FILMSTRIP_FRAMES}/${duration},scale=-2:${FILMSTRIP_HEIGHT},tile=${FILMSTRIP_FRAMES}x1`, '-frames:v', '1', tmp])
+  return storeDerivedMedia(tmp, username, fileId, DERIVED_IMAGES.filmstrip, 'image/jpeg')
+}
+
+// Run the pipeline for one file. Only an unreadable file fails the ingest; the other
+// steps record their errors and the file is still marked ready.
+export async function ingestFile(username, fileId){
+  const file = await getUserFile(username, fileId)
+  if (!file) {
+    console.warn(`Ingest skipped: file ${fileId} no longer exists`)
+    return null
+  }
+  const startedAt = Date.now()
+  const steps = {}
+  const errors = {}
+  const fields = {}
+  try {
+    await updateFile(username, fileId, { ingestStatus: 'processing', ingest: { startedAt, steps } })
+
+    let input = file.path
+    if (!input && file.s3Key && config.features.useS3) input = (await presignDownload({ key: file.s3Key, expires: 1800 })).url
+    const meta = input ? await probeMedia(input) : null
+    if (!meta) {
+      return await updateFile(username, fileId, {
+        ingestStatus: 'failed',
+        ingest: { startedAt, completedAt: Date.now(), steps: { probe: 'failed' }, errors: { probe: input ? 'could not read media' : 'input not available' } }
+      })
+    }
+    steps.probe = 'done'
+
+    // Stream details are kept so renders can plan inputs without probing again
+    const media = describeMedia(meta)
+    fields.media = media
+    const isImage = file.mimetype.startsWith('image/')
+    const hasVideo = !!media.video
+    const hasAudio = !!media.audio
+    // The probed duration replaces anything the client sent; stills report a single frame
+    const duration = media.duration
+    if (!isImage && duration > 0) fields.duration = duration
+
+    const step = async (name, run) => {
+      try {
+        Object.assign(fields, await run())
+        steps[name] = 'done'
+      } catch (e) {
+        steps[name] = 'failed'
+        errors[name] = e.message
+        console.error(`Ingest ${name} failed for file ${fileId}:`, e.message)
+      }
+      await updateFile(username, fileId, { ...fields, ingest: { startedAt, steps, errors } })
+    }
+    if (hasVideo) {
+      await step('thumbnail', async () => assetFields('thumbnail', await generateThumbnail(input, username, fileId, isImage ? 0 : Math.min(1, (duration || 0) / 2))))
+      await step('proxy', async () => {
+        await ensureProxy(file, INGEST_PROXY_HEIGHT)
+        return { proxyHeights: [INGEST_PROXY_HEIGHT] }
+      })
+    }
+    if (hasAudio) {
+      await step('waveform', async () => assetFields('waveform', await waveformImage(input, username, fileId)))
+      await step('peaks', async () => assetFields('peaks', await waveformPeaks(input, username, fileId)))
+    }
+    if (hasVideo && !isImage && duration > 0) await step('filmstrip', async () => assetFields('filmstrip', await filmstrip(input, duration, username, fileId)))
+
+    console.log(`Ingested file ${fileId} (${Object.entries(steps).map(([k, v]) => `${k}: ${v}`).join(', ')})`)
+    return await updateFile(username, fileId, { ...fields, ingestStatus: 'ready', ingest: { startedAt, completedAt: Date.now(), steps, errors } })
+  } catch (e) {
+    console.error(`Ingest failed for file ${fileId}:`, e)
+    return updateFile(username, fileId, { ingestStatus: 'failed', ingest: { startedAt, completedAt: Date.now(), steps, errors: { ...errors, ingest: e.message } } })
+  }
+}
+
+// Ingest jobs without SQS run one after another in this process
+let localQueue = Promise.resolve()
+
+// Queue a newly saved file for ingest (files that need none are ignored). Only files in
+// S3 go to the worker: a multipart upload's path is on this host, which the worker cannot
+// read.
+export async function queueIngest(username, userId, file){
+  if (!needsIngest(file)) return
+  if (!isQueueConfigured() || !file.s3Key) {
+    localQueue = localQueue
+      .then(() => ingestFile(username, file.id))
+      .catch(e => console.error(`Ingest of file ${file.id} could not be recorded:`, e))
+    return
+  }
+  try {
+    await enqueueIngestJob({ fileId: file.id, userId, username })
+  } catch (e) {
+    await updateFile(username, file.id, { ingestStatus: 'failed', ingest: { errors: { queue: e.message } } })
+  }
+}
@@ -0,0 +1,120 @@
+import fs from 'fs'
+import path from 'path'
+import os from 'os'
+import { spawn } from 'child_process'
+import config from './config.js'
+import { presignDownload, uploadToS3, sendObject, objectExists } from './s3.js'
+
+// Low-res preview proxies. Each file is encoded once per height into a faststart H.264 MP4
+// kept beside the original (a proxies/ folder next to the upload, locally or in S3), then
+// served with Range and ETag support so the editor's <video> layers can seek and cache.
+
+export const PROXY_HEIGHTS = [180, 360, 540, 720]
+
+// The smallest stored height that covers the requested one
+export function proxyHeight(h){
+  const wanted = parseInt(h) || 360
+  return PROXY_HEIGHTS.find(p => p >= wanted) || PROXY_HEIGHTS[PROXY_HEIGHTS.length - 1]
+}
+
+// Where a file's proxy lives: { key } in S3 or { path } on disk
+export function proxyLocation(file, height){
+  const name = `${file.id}-${height}p.mp4`
+  if (file.s3Key && config.features.useS3) return { key: `${path.posix.dirname(file.s3Key)}/proxies/${name}` }
+  return { path: path.join(path.dirname(file.path), 'proxies', name) }
+}
+
+function proxyArgs(input, height, output){
+  return [
+    '-hide_banner', '-loglevel', 'error', '-y', '-i', input,
+    '-vf', `scale=-2:${height}`, '-an',
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28', '-pix_fmt', 'yuv420p',
+    // A keyframe every second keeps scrubbing responsive
+    '-force_key_frames', 'expr:gte(t,n_forced*1)',
+    '-movflags', '+faststart', '-f', 'mp4', output
+  ]
+}
+
+// Encodes in progress by file and height, shared by every request waiting on them
+const pending = new Map()
+// S3 proxies already seen, so range requests skip the existence check
+const storedKeys = new Set()
+
+function startEncode(file, height, location){
+  const id = `${file.id}:${height}`
+  const job = { waiters: 0, child: null, cancelled: false }
+  job.promise = (async () => {
+    const input = location.key ? (await presignDownload({ key: file.s3Key, expires: 1800 })).url : file.path
+    // Encode to a scratch name so a half-written proxy is never served. Names are unique
+    // because a cancelled encode may still be exiting when the next one starts.
+    const tmp = location.key ? path.join(os.tmpdir(), `proxy-${file.id}-${height}-${Date.now()}.mp4`) : `${location.path}.${Date.now()}.part`
+    if (location.path) fs.mkdirSync(path.dirname(location.path), { recursive: true })
+    try {
+      await new Promise((resolve, reject) => {
+        if (job.cancelled) return reject(new Error('proxy encode cancelled'))
+        job.child = spawn('ffmpeg', proxyArgs(input, height, tmp), { stdio: ['ignore', 'ignore', 'pipe'] })
+        let stderr = ''
+        job.child.stderr.on('data', d => stderr += d.toString())
+        job.child.on('error', reject)
+        job.child.on('close', code => {
+          if (code === 0) resolve()
+          else reject(new Error(job.cancelled ? 'proxy encode cancelled' : `ffmpeg failed (${code}): ${stderr}`))
+        })
+      })
+      if (location.key) {
+        await uploadToS3({ key: location.key, filePath: tmp, contentType: 'video/mp4' })
+        storedKeys.add(location.key)
+      } else {
+        fs.renameSync(tmp, location.path)
+      }
+      console.log(`Preview proxy ready for file ${file.id} at ${height}p`)
+    } finally {
+      fs.rmSync(tmp, { force: true })
+      if (pending.get(id) === job) pending.delete(id)
+    }
+  })()
+  pending.set(id, job)
+  return job
+}
+
+// The stored proxy of file at height, encoding it first if needed. res is the response
+// waiting on it: once every response waiting on an encode has closed, ffmpeg is killed.
+// Without res (ingest) the caller waits until the encode finishes.
+export async function ensureProxy(file, height, res = null){
+  const location = proxyLocation(file, height)
+  if (location.path && fs.existsSync(location.path)) return location
+  if (location.key && (storedKeys.has(location.key) || await objectExists({ key: location.key }))) {
+    storedKeys.add(location.key)
+    return location
+  }
+
+  const job = pending.get(`${file.id}:${height}`) || startEncode(file, height, location)
+  job.waiters += 1
+  res?.on('close', () => {
+    job.waiters -= 1
+    if (job.waiters > 0) return
+    // Requests arriving from now on start a fresh encode rather than joining this one
+    job.cancelled = true
+    if (pending.get(`${file.id}:${height}`) === job) pending.delete(`${file.id}:${height}`)
+    if (job.child && job.child.exitCode === null) job.child.kill('SIGKILL')
+  })
+  await job.promise
+  return location
+}
+
+// Send a stored proxy. Local files go through sendFile, which handles Range, ETag and
+// conditional requests; S3 objects get the client's headers passed through.
+export async function sendProxy(location, req, res){
+  const cacheControl = 'private, max-age=86400'
+  if (location.path) {
+    return new Promise((resolve, reject) => {
+      res.sendFile(location.path, { cacheControl: false, headers: { 'Content-Type': 'video/mp4', 'Cache-Control': cacheControl } }, err => {
+        // Unsatisfiable ranges come back as errors with their status
+        if (err && err.status && !res.headersSent) res.status(err.status).end()
+        else if (err && !res.headersSent) return reject(err)
+        resolve()
+      })
+    })
+  }
+  return sendObject({ key: location.key, req, res, contentType: 'video/mp4', cacheControl })
+}
@@ -56,8 +56,18 @@ export async function enqueueRenderJob(jobData) {
         timeline: jobData.timeline,
         preset: jobData.preset || 'crispstream',
         renditions: jobData.renditions || ['1080p'],
+        format: jobData.format || 'mp4',
+        packaging: jobData.packaging || 'progressive',
+        loudness: jobData.loudness || null,
+        targetBitrate: jobData.targetBitrate ?? null,
+        maxFileSize: jobData.maxFileSize ?? null,
+        rangeStart: jobData.rangeStart ?? null,
+        rangeEnd: jobData.rangeEnd ?? null,
+        stillTime: jobData.stillTime ?? null,
         width: jobData.width || 1920,
         height: jobData.height || 1080,
+        fps: jobData.fps || 30,
+        fitMode: jobData.fitMode || 'fit-in',
         createdAt: Date.now(),
         retryCount: 0
     })
@@ -99,6 +109,52 @@ export async function enqueueRenderJob(jobData) {
     }
 }
 
+/**
+ * Enqueue a media ingest job. Ingest shares the render queue; workers tell the two apart
+ * by the message `type`.
+ * @param {Object} jobData - { fileId, userId, username }
+ * @returns {Promise<Object>} - SQS message response
+ */
+export async function enqueueIngestJob(jobData) {
+    if (!RENDER_QUEUE_URL) {
+        throw new Error('SQS render queue not configured. Set SQS_RENDER_QUEUE_URL or SQS_RENDER_QUEUE_NAME')
+    }
+
+    const command = new SendMessageCommand({
+        QueueUrl: RENDER_QUEUE_URL,
+        MessageBody: JSON.stringify({
+            type: 'ingest',
+            fileId: jobData.fileId,
+            userId: jobData.userId,
+            username: jobData.username,
+            createdAt: Date.now()
+        }),
+        MessageAttributes: {
+            type: {
+                DataType: 'String',
+                StringValue: 'ingest'
+            },
+            userId: {
+                DataType: 'String',
+                StringValue: jobData.userId
+            }
+        }
+    })
+
+    try {
+        const response = await sqsClient.send(command)
+        console.log(`Enqueued ingest of file ${jobData.fileId}`)
+        return {
+            success: true,
+            messageId: response.MessageId,
+            fileId: jobData.fileId
+        }
+    } catch (error) {
+        console.error(`Failed to enqueue ingest of file ${jobData.fileId}:`, error)
+        throw error
+    }
+}
+
 /**
  * Receive render jobs from queue
  * @param {number} maxMessages - Maximum number of messages to receive (1-10)
@@ -3,16 +3,22 @@ import jwt from 'jsonwebtoken'
 import multer from 'multer'
 import path from 'path'
 import fs from 'fs'
+import os from 'os'
 import { fileURLToPath } from 'url'
 import { v4 as uuidv4 } from 'uuid'
-import { getDB, saveDB, getUserFiles, saveUserFile, getUserFile, deleteUserFile, getUserProjects, saveUserProject, getUserProject, saveUserJob, getAllFiles, getAllProjects, getFileForAdmin, getProjectForAdmin } from './storage.js'
+import { getDB, saveDB, getUserFiles, saveUserFile, getUserFile, deleteUserFile, getUserProjects, saveUserProject, getUserProject, saveUserJob, getUserJobs, getAllFiles, getAllProjects, getFileForAdmin, getProjectForAdmin } from './storage.js'
 import { users, signToken, authMiddleware, requireRole } from './security.js'
-import { probeMedia, generateThumbnail, buildFfmpegCommand, execFfmpeg, execFfmpegWithProgress } from './video.js'
+import { probeMedia, describeMedia, buildFfmpegCommand, execFfmpeg, execFfmpegWithProgress, validateCanvas, resolveRenditions, resolveOutputFormat, renderRenditions, planRender, resolveRenderRange, resolveLoudness, resolveRateControl, LUT_MIMETYPE, isCubeLutName, validateCubeLut, resolveChromaKey, chromaKeyFilter, localizeLuts, previewProject, PREVIEW_LIMITS, derivedMediaPath } from './video.js'
 import config from './config.js'
 import { authMiddlewareCognito } from './cognito.js'
-import { presignUpload, presignDownload } from './s3.js'
+import { presignUpload, presignDownload, sendObject } from './s3.js'
 import { cacheGet, cacheSet } from './cache.js'
+import { PACKAGING_MODES, STREAMING_LADDER, SEGMENT_SECONDS, packageStreaming } from './streaming.js'
+import { SUBTITLE_MIMETYPES, subtitleMimetype, parseSubtitles, writeSubtitleSidecars } from './subtitles.js'
+import { PROJECT_FIELDS, validateTimeline, describeTimelineErrors } from './timeline.js'
 import { enqueueRenderJob, isQueueConfigured, getQueueDepth, getDLQDepth } from './queue.js'
+import { proxyHeight, ensureProxy, sendProxy } from './proxies.js'
+import { DERIVED_IMAGES, needsIngest, queueIngest } from './ingest.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -126,10 +132,70 @@ router.get('/config', (_, res) => {
   })
 })
 
+// Composed-timeline preview: `duration` seconds of a project from `start`, put together by
+// the render's own filtergraph on a canvas h pixels tall and streamed as it encodes
+async function streamProjectPreview(req, res){
+  const { projectId, h = 360 } = req.query
+  const start = req.query.start === undefined ? 0 : Number(req.query.start)
+  const duration = req.query.duration === undefined ? PREVIEW_LIMITS.defaultSeconds : Number(req.query.duration)
+  if (!Number.isFinite(start) || start < 0) return res.status(400).json({ error: 'Invalid preview range', message: 'start must be a time in seconds' })
+  if (!(duration > 0) || duration > PREVIEW_LIMITS.maxSeconds) {
+    return res.status(400).json({ error: 'Invalid preview range', message: `duration must be more than 0 and at most ${PREVIEW_LIMITS.maxSeconds} seconds` })
+  }
+
+  const { proj, files } = await projectWithFiles(req.user, projectId)
+  if (!proj) return res.status(404).json({ error: 'not found' })
+  if (req.user.role !== 'admin' && proj.ownerId !== req.user.id) return res.status(403).json({ error: 'forbidden' })
+  const canvasError = validateCanvas({ width: proj.width || 1920, height: proj.height || 1080, fps: proj.fps || 30 })
+  if (canvasError) return res.status(400).json({ error: 'Invalid project canvas', message: canvasError })
+  const { tracks, errors } = validateTimeline(proj.tracks || [], files)
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid timeline', message: describeTimelineErrors(errors), errors })
+
+  const height = Math.min(PREVIEW_LIMITS.maxHeight, Math.max(120, parseInt(h) || 360))
+  // Scratch space for downloaded LUTs and burn-in subtitles, removed when ffmpeg exits
+  const workDir = path.join(os.tmpdir(), `preview-${uuidv4()}`)
+  let args
+  try {
+    const inputs = await localizeLuts(await renderInputFiles(files), workDir)
+    fs.mkdirSync(workDir, { recursive: true })
+    // Burn-in is drawn before the range is cut, so the cues keep their timeline times
+    const burnIn = writeSubtitleSidecars(tracks.filter(t => t.burnIn), workDir)
+    args = await buildFfmpegCommand(previewProject({ ...proj, tracks }, height), inputs, {
+      preview: true,
+      rangeStart: start,
+      rangeEnd: start + duration,
+      subtitleFiles: Object.fromEntries(burnIn.map(s => [s.trackId, s.srt.path]))
+    })
+  } catch (e) {
+    fs.rmSync(workDir, { recursive: true, force: true })
+    return res.status(400).json({ error: 'Preview failed', message: e.message })
+  }
+
+  res.setHeader('Content-Type', 'video/mp4')
+  const child = await import('child_process').then(m => m.spawn('ffmpeg', ['-hide_banner', '-loglevel', 'error', ...args], { stdio: ['ignore', 'pipe', 'inherit'] }))
+  child.stdout.pipe(res)
+  child.on('close', () => {
+    fs.rmSync(workDir, { recursive: true, force: true })
+    res.end()
+  })
+  stopWithResponse(child, res)
+}
+
+// A streamed preview is only worth encoding while someone is watching it
+function stopWithResponse(child, res){
+  res.on('close', () => {
+    if (child.exitCode === null) child.kill('SIGKILL')
+  })
+}
+
 router.get('/preview', auth, async (req, res) => {
   try {
-    const { fileId, h = 360 } = req.query
-    if (!fileId) return res.status(400).json({ error: 'fileId required' })
+    // projectId (plus start, duration) previews the composed timeline instead of one file
+    if (req.query.projectId) return await streamProjectPreview(req, res)
+    // keyColor (plus similarity, blend, spill) previews a chroma keyed clip over a checkerboard
+    const { fileId, h = 360, keyColor } = req.query
+    if (!fileId) return res.status(400).json({ error: 'fileId or projectId required' })
+    if (keyColor !== undefined && typeof keyColor !== 'string') return res.status(400).json({ error: 'Invalid keyColor', message: 'keyColor must be a single #rrggbb color' })
 
     let f
     if (req.user.role === 'admin') {
@@ -140,20 +206,43 @@ router.get('/preview', auth, async (req, res) => {
     //
     if (!f) return res.status(404).json({ error: 'not found' })
     if (req.user.role !== 'admin' && f.ownerId !== req.user.id) return res.status(403).json({ error: 'forbidden' })
+    if (!f.path && !(f.s3Key && config.features.useS3)) return res.status(404).json({ error: 'input not available' })
+
+    // Plain previews are served from a stored proxy the browser can seek in and cache
+    if (!keyColor) {
+      if (!/^(video|image)\//.test(f.mimetype || '')) return res.status(400).json({ error: 'no video to preview' })
+      const location = await ensureProxy(f, proxyHeight(h), res)
+      return await sendProxy(location, req, res)
+    }
 
     res.setHeader('Content-Type', 'video/mp4')
     const height = Math.max(120, parseInt(h))
     // Determine ffmpeg input (local file path or presigned S3 URL)
     let input = f.path
-    if (!input && f.s3Key && config.features.useS3) {
+    if (!input) {
       const { url } = await presignDownload({ key: f.s3Key })
       input = url
     }
-    if (!input) return res.status(404).json({ error: 'input not available' })
+
+    const key = resolveChromaKey({
+      color: keyColor.startsWith('#') ? keyColor : `#${keyColor}`,
+      similarity: parseFloat(req.query.similarity),
+      blend: parseFloat(req.query.blend),
+      spill: parseFloat(req.query.spill)
+    })
+    // The checkerboard needs a concrete width, so take the aspect from the (upright) source
+    const video = (f.media || describeMedia(await probeMedia(input))).video
+    const width = video ? Math.round(height * video.displayWidth / video.displayHeight / 2) * 2 : Math.round(height * 16 / 9 / 2) * 2
+    const cols = Math.ceil(width / 16), rows = Math.ceil(height / 16)
+    const videoArgs = ['-filter_complex', [
+      `nullsrc=s=${cols}x${rows}:r=30,geq=lum='if(mod(X+Y,2),200,120)':cb=128:cr=128,scale=${cols * 16}:${rows * 16}:flags=neighbor,crop=${width}:${height},setsar=1[bg]`,
+      `[0:v]scale=${width}:${height},setsar=1,${chromaKeyFilter(key)}[fg]`,
+      '[bg][fg]overlay=shortest=1,format=yuv420p[out]'
+    ].join(';'), '-map', '[out]']
+
     const child = await import('child_process').then(m => m.spawn('ffmpeg', [
       '-hide_banner', '-loglevel', 'error', '-i', input,
-      // keep aspect ratio, constrain height; width auto (-2) preserves mod2
-      '-vf', `scale=-2:${height}`,
+      ...videoArgs,
       '-an',
       '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28',
       // MP4 over stdout requires fragmented MP4, not faststart (which seeks)
@@ -164,8 +253,11 @@ router.get('/preview', auth, async (req, res) => {
     ], { stdio: ['ignore', 'pipe', 'inherit'] }))
     child.stdout.pipe(res)
     child.on('close', () => res.end())
+    stopWithResponse(child, res)
   } catch (e) {
     console.error('preview error', e)
+    // The client may have gone away while its proxy was encoding
+    if (res.headersSent || res.destroyed) return
     res.status(500).json({ error: 'preview failed' })
   }
 })
@@ -213,10 +305,18 @@ const upload = multer({
       'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp3', 'audio/mp4'
     ]
 
-    if (allowedMimeTypes.includes(file.mimetype)) {
+    // Browsers have no MIME type for .cube LUTs and report subtitles inconsistently,
+    // so both are recognized by extension
+    if (isCubeLutName(file.originalname)) {
+      file.mimetype = LUT_MIMETYPE
+      cb(null, true)
+    } else if (subtitleMimetype(file.originalname)) {
+      file.mimetype = subtitleMimetype(file.originalname)
+      cb(null, true)
+    } else if (allowedMimeTypes.includes(file.mimetype)) {
       cb(null, true)
     } else {
-      cb(new Error(`File type ${file.mimetype} not allowed. Only video, audio, and image files are permitted.`))
+      cb(new Error(`File type ${file.mimetype} not allowed. Only video, audio, image, .cube LUT and .srt/.vtt subtitle files are permitted.`))
     }
   }
 })
@@ -301,48 +401,35 @@ router.post('/files', auth, (req, res, next) => {
     }
 
     const saved = []
+    const rejected = []
     for (const file of req.files) {
       const id = path.basename(file.filename, path.extname(file.filename))
       const mimetype = file.mimetype
+      let fileError = null
+      if (mimetype === LUT_MIMETYPE) fileError = validateCubeLut(file.path)
+      else if (subtitleMimetype(file.originalname) && parseSubtitles(fs.readFileSync(file.path, 'utf8')).length === 0) fileError = 'no subtitle cues found'
+      if (fileError) {
+        fs.unlinkSync(file.path)
+        rejected.push({ name: file.originalname, message: fileError })
+        continue
+      }
       const fileRec = {
         id, ownerId: req.user.id, path: file.path, name: file.originalname, mimetype,
         url: `/media/uploads/${req.user.id}/${file.filename}`, createdAt: Date.now()
       }
-
-      // Optional: generate thumbnail for videos (with timeout)
-      try {
-        if (mimetype.startsWith('video')) {
-          const thumb = path.join(__dirname, '..', 'data', 'thumbnails', `${id}.jpg`)
-
-          // Add timeout for thumbnail generation to prevent hanging
-          const thumbnailPromise = generateThumbnail(file.path, thumb)
-          const timeout = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Thumbnail generation timeout')), 30000)
-          )
-
-          await Promise.race([thumbnailPromise, timeout])
-          fileRec.thumbnail = `/media/thumbnails/${id}.jpg`
-
-          // Add timeout for media probing
-          const probePromise = probeMedia(file.path)
-          const probeTimeout = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Media probe timeout')), 15000)
-          )
-
-          const meta = await Promise.race([probePromise, probeTimeout])
-          if (meta?.format?.duration) fileRec.duration = parseFloat(meta.format.duration)
-        }
-      } catch (e) {
-        console.error('thumb/probe error for file', file.originalname, ':', e.message)
-        // Continue processing even if thumbnail/probe fails
-      }
+      // Probing, thumbnails and proxies happen in the ingest pipeline after the response
+      if (needsIngest(fileRec)) fileRec.ingestStatus = 'pending'
 
       await saveUserFile(req.user.username, fileRec)
       saved.push(fileRec)
     }
+    for (const fileRec of saved) await queueIngest(req.user.username, req.user.id, fileRec)
 
     console.log(`Successfully processed ${saved.length} files for user ${req.user.username}`)
-    res.status(201).json({ items: saved })
+    if (saved.length === 0 && rejected.length > 0) {
+      return res.status(400).json({ error: 'File validation failed', message: rejected.map(r => `${r.name}: ${r.message}`).join('; '), rejected })
+    }
+    res.status(201).json({ items: saved, rejected })
   } catch (error) {
     console.error('Error processing file upload:', error)
 
@@ -393,10 +480,13 @@ router.post('/files/presign-upload', auth, async (req, res) => {
     'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp3', 'audio/mp4'
   ]
 
-  if (!allowedMimeTypes.includes(contentType)) {
+  const genericTypes = ['application/octet-stream', 'text/plain']
+  const isLut = isCubeLutName(filename) && [LUT_MIMETYPE, ...genericTypes].includes(contentType)
+  const isSubtitle = !!subtitleMimetype(filename) && [subtitleMimetype(filename), ...genericTypes].includes(contentType)
+  if (!isLut && !isSubtitle && !allowedMimeTypes.includes(contentType)) {
     return res.status(400).json({
       error: 'Invalid file type',
-      message: `File type ${contentType} not allowed. Only video, audio, and image files are permitted.`,
+      message: `File type ${contentType} not allowed. Only video, audio, image, .cube LUT and .srt/.vtt subtitle files are permitted.`,
       code: 'INVALID_FILE_TYPE'
     })
   }
@@ -427,7 +517,7 @@ router.post('/files/presign-upload', auth, async (req, res) => {
 // After successful client upload to S3, register metadata
 router.post('/files/register', auth, async (req, res) => {
   try {
-    const { id, originalName, key, mimetype, duration } = req.body || {}
+    const { id, originalName, key, mimetype } = req.body || {}
     if (!id || !key || !mimetype) return res.status(400).json({ error: 'id, key, mimetype required' })
 
     const rec = {
@@ -435,13 +525,15 @@ router.post('/files/register', auth, async (req, res) => {
       ownerId: req.user.id,
       s3Key: key,
       name: originalName || id,
-      mimetype,
+      mimetype: isCubeLutName(key) ? LUT_MIMETYPE : (subtitleMimetype(key) || mimetype),
       createdAt: Date.now()
     }
-    if (duration) rec.duration = duration
+    // Duration and the rest of the media details come from the ingest probe
+    if (needsIngest(rec)) rec.ingestStatus = 'pending'
 
     // Save file using DynamoDB-aware storage
     await saveUserFile(req.user.username || req.user.id, rec)
+    await queueIngest(req.user.username || req.user.id, req.user.id, rec)
 
     console.log('File registered successfully:', rec.id)
     res.status(201).json(rec)
@@ -451,6 +543,21 @@ router.post('/files/register', auth, async (req, res) => {
   }
 })
 
+// A single file record; the client polls this while ingestStatus is pending or processing
+router.get('/files/:id', auth, async (req, res) => {
+  try {
+    const f = req.user.role === 'admin'
+      ? await getFileForAdmin(req.params.id)
+      : await getUserFile(req.user.username || req.user.id, req.params.id)
+    if (!f) return res.status(404).json({ error: 'not found' })
+    if (req.user.role !== 'admin' && f.ownerId !== req.user.id) return res.status(403).json({ error: 'forbidden' })
+    res.json(f)
+  } catch (e) {
+    console.error('Error getting file:', e)
+    res.status(500).json({ error: 'Failed to get file' })
+  }
+})
+
 // Generate a presigned download URL for a file
 router.get('/files/:id/presign-download', auth, async (req, res) => {
   try {
@@ -467,6 +574,90 @@ router.get('/files/:id/presign-download', auth, async (req, res) => {
   }
 })
 
+// Cues of an uploaded SRT/WebVTT file, in the file's own time
+router.get('/files/:id/cues', auth, async (req, res) => {
+  try {
+    const f = req.user.role === 'admin'
+      ? await getFileForAdmin(req.params.id)
+      : await getUserFile(req.user.username || req.user.id, req.params.id)
+    if (!f) return res.status(404).json({ error: 'not found' })
+    if (req.user.role !== 'admin' && f.ownerId !== req.user.id) return res.status(403).json({ error: 'forbidden' })
+    if (!Object.values(SUBTITLE_MIMETYPES).includes(f.mimetype)) {
+      return res.status(400).json({ error: 'not a subtitle file' })
+    }
+
+    let text
+    if (f.path) {
+      text = fs.readFileSync(f.path, 'utf8')
+    } else if (f.s3Key && config.features.useS3) {
+      const { url } = await presignDownload({ key: f.s3Key })
+      const r = await fetch(url)
+      if (!r.ok) throw new Error(`S3 download failed: ${r.status}`)
+      text = await r.text()
+    } else {
+      return res.status(404).json({ error: 'input not available' })
+    }
+    res.json({ cues: parseSubtitles(text) })
+  } catch (e) {
+    console.error('Error reading subtitle cues:', e)
+    res.status(500).json({ error: 'Failed to read subtitle cues' })
+  }
+})
+
+// Waveform peaks of an audio-bearing file, built at ingest (see waveform.js)
+router.get('/files/:id/peaks', auth, async (req, res) => {
+  try {
+    const f = req.user.role === 'admin'
+      ? await getFileForAdmin(req.params.id)
+      : await getUserFile(req.user.username || req.user.id, req.params.id)
+    if (!f) return res.status(404).json({ error: 'not found' })
+    if (req.user.role !== 'admin' && f.ownerId !== req.user.id) return res.status(403).json({ error: 'forbidden' })
+    if (!f.peaks && !f.peaksS3Key) {
+      const message = f.media && !f.media.audio ? 'file has no audio' : 'waveform not generated yet'
+      return res.status(404).json({ error: 'no peaks', message })
+    }
+
+    // Peaks never change once written
+    const cacheControl = 'private, max-age=86400'
+    if (f.peaksS3Key && config.features.useS3) {
+      return await sendObject({ key: f.peaksS3Key, req, res, contentType: 'application/json', cacheControl })
+    }
+    res.sendFile(derivedMediaPath(f.id, 'peaks.json'), { cacheControl: false, headers: { 'Content-Type': 'application/json', 'Cache-Control': cacheControl } }, err => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'no peaks', message: 'waveform not generated yet' })
+    })
+  } catch (e) {
+    console.error('Error reading waveform peaks:', e)
+    res.status(500).json({ error: 'Failed to read waveform peaks' })
+  }
+})
+
+// Thumbnail, waveform image or filmstrip built at ingest. S3-stored images redirect to a
+// short-lived presigned URL; local ones are sent from data/thumbnails.
+router.get('/files/:id/:image(thumbnail|waveform|filmstrip)', auth, async (req, res) => {
+  try {
+    const f = req.user.role === 'admin'
+      ? await getFileForAdmin(req.params.id)
+      : await getUserFile(req.user.username || req.user.id, req.params.id)
+    if (!f) return res.status(404).json({ error: 'not found' })
+    if (req.user.role !== 'admin' && f.ownerId !== req.user.id) return res.status(403).json({ error: 'forbidden' })
+
+    const { image } = req.params
+    const s3Key = f[`${image}S3Key`]
+    if (s3Key && config.features.useS3) {
+      const { url } = await presignDownload({ key: s3Key })
+      res.set('Cache-Control', 'private, max-age=600')
+      return res.redirect(302, url)
+    }
+    if (!f[image]) return res.status(404).json({ error: `no ${image}`, message: `${image} not generated yet` })
+    res.sendFile(derivedMediaPath(f.id, DERIVED_IMAGES[image]), { cacheControl: false, headers: { 'Cache-Control': 'private, max-age=86400' } }, err => {
+      if (err && !res.headersSent) res.status(404).json({ error: `no ${image}`, message: `${image} not generated yet` })
+    })
+  } catch (e) {
+    console.error('Error getting derived image:', e)
+    res.status(500).json({ error: 'Failed to get image' })
+  }
+})
+
 // ---- Projects ----
 router.get('/projects', auth, async (req, res) => {
   try {
@@ -504,6 +695,10 @@ router.post('/projects', auth, async (req, res) => {
     const { name, width = 1920, height = 1080, fps = 30 } = req.body || {}
     if (!name) return res.status(400).json({ error: 'name required' })
 
+    // Vertical (9:16) and square (1:1) canvases are allowed, within the render limits
+    const canvasError = validateCanvas({ width, height, fps })
+    if (canvasError) return res.status(400).json({ error: 'Invalid project canvas', message: canvasError })
+
     const proj = {
       id: uuidv4(),
       ownerId: req.user.id,
@@ -559,14 +754,28 @@ router.put('/projects/:id', auth, async (req, res) => {
       return res.status(403).json({ error: 'forbidden' })
     }
 
+    // Only editable fields are taken from the body; ids, owner and timestamps stay server-side
+    const changes = Object.fromEntries(PROJECT_FIELDS.filter(k => req.body?.[k] !== undefined).map(k => [k, req.body[k]]))
     const updated = {
       ...projects[projectId],
-      ...req.body,
+      ...changes,
       id: projectId,
       ownerId: projects[projectId].ownerId,
       updatedAt: Date.now()
     }
 
+    const canvasError = validateCanvas({ width: updated.width ?? 1920, height: updated.height ?? 1080, fps: updated.fps ?? 30 })
+    if (canvasError) return res.status(400).json({ error: 'Invalid project canvas', message: canvasError })
+
+    if (typeof updated.name !== 'string' || !updated.name.trim()) return res.status(400).json({ error: 'name required' })
+    if (updated.fitMode !== undefined && !['fit-in', 'fit-out'].includes(updated.fitMode)) {
+      return res.status(400).json({ error: 'Invalid fitMode. Must be "fit-in" or "fit-out"' })
+    }
+
+    const { tracks, errors } = validateTimeline(updated.tracks || [], await getUserFiles(req.user.username))
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid timeline', message: describeTimelineErrors(errors), errors })
+    updated.tracks = tracks
+
     await saveUserProject(req.user.username, projectId, updated)
     res.json(updated)
   } catch (error) {
@@ -611,6 +820,141 @@ router.put('/projects/:id/fit-mode', auth, async (req, res) => {
 })
 
 // ---- Render ----
+// Read and check the render options shared by renders and dry runs. Returns { options }, or
+// { error, message } for a 400 response.
+function parseRenderOptions(body, proj){
+  const { preset = 'crispstream', packaging = 'progressive', format = 'mp4' } = body || {}
+  if (!PACKAGING_MODES.includes(packaging)) {
+    return { error: 'Invalid packaging', message: `packaging must be one of: ${PACKAGING_MODES.join(', ')}` }
+  }
+  let outputFormat
+  try {
+    outputFormat = resolveOutputFormat(format)
+  } catch (e) {
+    return { error: 'Invalid format', message: e.message }
+  }
+  // HLS/DASH remux the H.264/AAC renditions as-is
+  if (packaging !== 'progressive' && format !== 'mp4') {
+    return { error: 'Invalid packaging', message: `${packaging} packaging requires the mp4 format` }
+  }
+  // Streaming packages default to a multi-rendition ladder so the master playlist has variants
+  const renditions = body?.renditions || (!outputFormat.video ? ['audio'] : packaging === 'progressive' ? ['1080p'] : STREAMING_LADDER)
+  try {
+    resolveRenditions(renditions, proj.width || 1920, proj.height || 1080, format)
+  } catch (e) {
+    return { error: 'Invalid renditions', message: e.message }
+  }
+  const loudness = body?.loudness ?? null
+  try {
+    resolveLoudness(loudness)
+  } catch (e) {
+    return { error: 'Invalid loudness', message: e.message }
+  }
+  // A target bitrate (kbps) or file-size budget (MB) switches to a two-pass encode
+  const targetBitrate = body?.targetBitrate ?? null
+  const maxFileSize = body?.maxFileSize ?? null
+  try {
+    if (resolveRateControl({ targetBitrate, maxFileSize }) && format !== 'mp4') throw new Error('targetBitrate and maxFileSize need the mp4 format')
+  } catch (e) {
+    return { error: 'Invalid rate control', message: e.message }
+  }
+  // rangeStart/rangeEnd export part of the timeline; stillTime picks the frame for png/jpeg
+  const { rangeStart = null, rangeEnd = null, stillTime = null } = body || {}
+  try {
+    resolveRenderRange({ rangeStart, rangeEnd, stillTime }, format)
+  } catch (e) {
+    return { error: 'Invalid range', message: e.message }
+  }
+  return { options: { preset, packaging, format, renditions, loudness, targetBitrate, maxFileSize, rangeStart, rangeEnd, stillTime } }
+}
+
+// Files as ffmpeg inputs: local files by path, S3 files through presigned URLs. Files that
+// cannot be opened are left out.
+async function renderInputFiles(files){
+  const processedFiles = []
+  for (const file of files) {
+    let filePath
+
+    if (file.s3Key && config.features.useS3) {
+      // S3 file - generate presigned URL with shorter expiry to avoid URL length issues
+      try {
+        const signed = await presignDownload({ key: file.s3Key, expiresIn: 1800 }) // 30 minutes
+        filePath = signed.url
+        console.log(`Using presigned URL for file ${file.id}: ${file.s3Key}`)
+
+        // Validate URL length (ffmpeg may have issues with very long URLs)
+        if (filePath.length > 2000) {
+          console.warn(`Presigned URL is very long (${filePath.length} chars), this may cause ffmpeg issues`)
+        }
+      } catch (s3Error) {
+        console.error(`Failed to get presigned URL for file ${file.id}:`, s3Error)
+        continue // Skip this file
+      }
+    } else if (file.path) {
+      // Local file
+      filePath = file.path
+    } else {
+      console.warn(`File ${file.id} has no path or s3Key, skipping`)
+      continue
+    }
+
+    processedFiles.push({
+      ...file,
+      path: filePath
+    })
+  }
+  return processedFiles
+}
+
+// A project and the files it can use. Admins can open any project, with the files its
+// clips reference.
+async function projectWithFiles(user, projectId){
+  if (user.role === 'admin') {
+    const proj = await getProjectForAdmin(projectId)
+    const ids = new Set((proj?.tracks || []).flatMap(t => (t.clips || []).flatMap(c => [c.fileId, c.color?.lutFileId])).filter(Boolean))
+    return { proj, files: (await Promise.all([...ids].map(id => getFileForAdmin(id)))).filter(Boolean) }
+  }
+  return { proj: await getUserProject(user.username, projectId), files: await getUserFiles(user.username) }
+}
+
+// Dry run: the ffmpeg plan for a render without running it
+router.post('/projects/:id/render/dry-run', auth, async (req, res) => {
+  try {
+    const { proj, files } = await projectWithFiles(req.user, req.params.id)
+    if (!proj) return res.status(404).json({ error: 'not found' })
+    if (req.user.role !== 'admin' && proj.ownerId !== req.user.id) return res.status(403).json({ error: 'forbidden' })
+
+    const canvasError = validateCanvas({ width: proj.width || 1920, height: proj.height || 1080, fps: proj.fps || 30 })
+    if (canvasError) return res.status(400).json({ error: 'Invalid project canvas', message: canvasError })
+    const { tracks, errors } = validateTimeline(proj.tracks || [], files)
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid timeline', message: describeTimelineErrors(errors), errors })
+
+    const parsed = parseRenderOptions(req.body, proj)
+    if (parsed.error) return res.status(400).json({ error: parsed.error, message: parsed.message })
+    const { packaging, ...options } = parsed.options
+
+    // S3 media is shown by key; the render itself reads it through presigned URLs. Files
+    // that were never ingested are probed through one here, so audio checks match the render.
+    const used = new Set(tracks.flatMap(t => t.clips.map(c => c.fileId)))
+    const planFiles = await Promise.all(files.map(async f => {
+      if (f.path || !f.s3Key) return f
+      let media = f.media
+      if (!media && used.has(f.id) && config.features.useS3) {
+        media = describeMedia(await probeMedia((await presignDownload({ key: f.s3Key, expires: 1800 })).url))
+      }
+      return { ...f, media, path: `s3://${config.s3.bucket}/${f.s3Key}` }
+    }))
+    const plan = await planRender({ ...proj, tracks }, planFiles, {
+      ...options,
+      keyframeInterval: packaging === 'progressive' ? undefined : SEGMENT_SECONDS
+    })
+    res.json({ projectId: proj.id, packaging, ...plan })
+  } catch (error) {
+    console.error('Error planning render:', error)
+    res.status(400).json({ error: 'Failed to plan render', message: error.message })
+  }
+})
+
 router.post('/projects/:id/render', auth, async (req, res) => {
   try {
     const projects = await getUserProjects(req.user.username)
@@ -624,48 +968,28 @@ router.post('/projects/:id/render', auth, async (req, res) => {
     if (!proj) return res.status(404).json({ error: 'not found' })
     if (req.user.role !== 'admin' && proj.ownerId !== req.user.id) return res.status(403).json({ error: 'forbidden' })
 
-    const { preset = 'crispstream', renditions = ['1080p'] } = req.body || {}
+    const canvasError = validateCanvas({ width: proj.width || 1920, height: proj.height || 1080, fps: proj.fps || 30 })
+    if (canvasError) return res.status(400).json({ error: 'Invalid project canvas', message: canvasError })
+
+    // Files may have been deleted since the project was saved, so check the timeline again
+    const { tracks: timeline, errors: timelineErrors } = validateTimeline(proj.tracks || [], files)
+    if (timelineErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid timeline', message: describeTimelineErrors(timelineErrors), errors: timelineErrors })
+    }
+    proj.tracks = timeline
+
+    const parsed = parseRenderOptions(req.body, proj)
+    if (parsed.error) return res.status(400).json({ error: parsed.error, message: parsed.message })
+    const { preset, packaging, format, renditions, loudness, targetBitrate, maxFileSize, rangeStart, rangeEnd, stillTime } = parsed.options
 
     // Check if SQS queue is configured
     const useQueue = isQueueConfigured()
     console.log(`Render mode: ${useQueue ? 'ASYNC (SQS Queue)' : 'SYNC (Direct)'}`)
 
     // Prepare files for rendering - handle both local and S3 files
-    const processedFiles = []
+    const processedFiles = await renderInputFiles(files)
     const tempFiles = [] // Track temp files for cleanup
 
-    for (const file of files) {
-      let filePath
-
-      if (file.s3Key && config.features.useS3) {
-        // S3 file - generate presigned URL with shorter expiry to avoid URL length issues
-        try {
-          const signed = await presignDownload({ key: file.s3Key, expiresIn: 1800 }) // 30 minutes
-          filePath = signed.url
-          console.log(`Using presigned URL for file ${file.id}: ${file.s3Key}`)
-
-          // Validate URL length (ffmpeg may have issues with very long URLs)
-          if (filePath.length > 2000) {
-            console.warn(`Presigned URL is very long (${filePath.length} chars), this may cause ffmpeg issues`)
-          }
-        } catch (s3Error) {
-          console.error(`Failed to get presigned URL for file ${file.id}:`, s3Error)
-          continue // Skip this file
-        }
-      } else if (file.path) {
-        // Local file
-        filePath = file.path
-      } else {
-        console.warn(`File ${file.id} has no path or s3Key, skipping`)
-        continue
-      }
-
-      processedFiles.push({
-        ...file,
-        path: filePath
-      })
-    }
-
     // Generate job ID
     const jobId = uuidv4()
 
@@ -678,11 +1002,21 @@ router.post('/projects/:id/render', auth, async (req, res) => {
           userId: req.user.id,
           username: req.user.username,
           files: processedFiles,
-          timeline: proj.timeline || [],
+          timeline: proj.tracks || [],
           preset,
           renditions,
+          format,
+          packaging,
+          loudness,
+          targetBitrate,
+          maxFileSize,
+          rangeStart,
+          rangeEnd,
+          stillTime,
           width: proj.width || 1920,
-          height: proj.height || 1080
+          height: proj.height || 1080,
+          fps: proj.fps || 30,
+          fitMode: proj.fitMode || 'fit-in'
         })
 
         // Create initial job record
@@ -694,7 +1028,7 @@ router.post('/projects/:id/render', auth, async (req, res) => {
           progress: 0,
           createdAt: Date.now()
         }
-        await saveUserJob(req.user.username, job)
+        await saveUserJob(req.user.username, jobId, job)
 
         console.log(`✅ Job ${jobId} enqueued successfully`)
 
@@ -713,22 +1047,39 @@ router.post('/projects/:id/render', auth, async (req, res) => {
     // SYNC MODE: Direct rendering (fallback or when queue not configured)
     console.log('⚠️  Using synchronous rendering (queue not available)')
 
-    // Build ffmpeg command with processed files
-    const cmd = await buildFfmpegCommand(proj, processedFiles, { preset, renditions })
-
-    // Output path
-    const outName = `${jobId}.mp4`
-    const outPath = path.join(__dirname, '..', 'data', 'outputs', outName)
+    // Every rendition lands in its own file under data/outputs/<jobId>/
+    const outDir = path.join(__dirname, '..', 'data', 'outputs', jobId)
 
     try {
-      console.log('ffmpeg args:', cmd.join(' '))
-      console.log('render output path:', outPath)
-      const { code, stderr } = await execFfmpegWithProgress(cmd, outPath, jobId)
+      console.log('render output dir:', outDir)
+      const keyframeInterval = packaging === 'progressive' ? undefined : SEGMENT_SECONDS
+      const { code, stderr, outputs, loudness: loudnessStats, subtitles, rateControl, range } = await renderRenditions(proj, processedFiles, { preset, renditions, format, keyframeInterval, loudness, targetBitrate, maxFileSize, rangeStart, rangeEnd, stillTime }, outDir, jobId)
+      const jobOutputs = outputs.map(o => ({
+        rendition: o.rendition,
+        width: o.width,
+        height: o.height,
+        contentType: o.contentType,
+        size: o.size,
+        output: `/media/outputs/${jobId}/${o.filename}`
+      }))
       const job = {
         id: jobId,
         projectId: proj.id,
         ownerId: proj.ownerId,
-        output: `/media/outputs/${outName}`,
+        output: jobOutputs[0].output,
+        outputs: jobOutputs,
+        format,
+        packaging,
+        loudness: loudnessStats,
+        rateControl,
+        range,
+        subtitles: subtitles.map(s => ({
+          name: s.name,
+          language: s.language,
+          burnIn: s.burnIn,
+          srt: `/media/outputs/${jobId}/${s.srt.filename}`,
+          vtt: `/media/outputs/${jobId}/${s.vtt.filename}`
+        })),
         createdAt: Date.now(),
         completedAt: Date.now(),
         status: 'completed',
@@ -737,9 +1088,15 @@ router.post('/projects/:id/render', auth, async (req, res) => {
         stderr
       }
 
+      if (packaging !== 'progressive') {
+        const streaming = await packageStreaming(outputs, outDir, packaging)
+        if (streaming.hls) job.playlistUrl = `/media/outputs/${jobId}/${streaming.hls.playlist}`
+        if (streaming.dash) job.dashManifestUrl = `/media/outputs/${jobId}/${streaming.dash.manifest}`
+      }
+
       // Save job to user's data
-      await saveUserJob(req.user.username, job)
-      res.status(201).json({ output: job.output, job })
+      await saveUserJob(req.user.username, jobId, job)
+      res.status(201).json({ output: job.output, outputs: job.outputs, subtitles: job.subtitles, playlistUrl: job.playlistUrl, dashManifestUrl: job.dashManifestUrl, job })
     } catch (e) {
       console.error('render error', e)
       res.status(500).json({ error: 'render failed', detail: e.message })
@@ -761,6 +1118,20 @@ router.post('/projects/:id/render', auth, async (req, res) => {
   }
 })
 
+// Job record (status, outputs) for queued and completed renders
+router.get('/jobs/:id', auth, async (req, res) => {
+  try {
+    const jobs = await getUserJobs(req.user.username)
+    const job = jobs.find(j => j.id === req.params.id)
+    if (!job) return res.status(404).json({ error: 'not found' })
+    if (req.user.role !== 'admin' && job.ownerId !== req.user.id) return res.status(403).json({ error: 'forbidden' })
+    res.json(job)
+  } catch (error) {
+    console.error('Error getting job:', error)
+    res.status(500).json({ error: 'Failed to get job' })
+  }
+})
+
 // SSE progress endpoint
 router.get('/jobs/:id/events', auth, async (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream')
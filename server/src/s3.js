@@ -1,7 +1,10 @@
-import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3'
+import { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3'
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
 import config from './config.js'
 import fs from 'fs'
+import path from 'path'
+import { pipeline } from 'stream'
+import mime from 'mime-types'
 
 let s3
 function getS3() {
@@ -55,6 +58,51 @@ export async function presignDownload({ key, expires = 900 }) {
   return { url }
 }
 
+// Read an object, passing the client's Range and If-None-Match through. S3 answers
+// unmatched conditions and bad ranges with errors carrying a 304 or 416 status.
+export async function getObject({ key, range, ifNoneMatch }) {
+  const cmd = new GetObjectCommand({ Bucket: config.s3.bucket, Key: key, Range: range, IfNoneMatch: ifNoneMatch })
+  return getS3().send(cmd)
+}
+
+// Send an object as an express response, passing the client's Range and If-None-Match
+// through to S3. contentType defaults to the object's own.
+export async function sendObject({ key, req, res, contentType, cacheControl }) {
+  let obj
+  try {
+    obj = await getObject({ key, range: req.headers.range, ifNoneMatch: req.headers['if-none-match'] })
+  } catch (error) {
+    const status = error.$metadata?.httpStatusCode
+    if (status === 304 || status === 404 || status === 416) return res.status(status).end()
+    throw error
+  }
+  res.status(obj.ContentRange ? 206 : 200)
+  res.set({
+    'Content-Type': contentType || obj.ContentType || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+    'Content-Length': String(obj.ContentLength),
+    'ETag': obj.ETag
+  })
+  if (cacheControl) res.set('Cache-Control', cacheControl)
+  if (obj.ContentRange) res.set('Content-Range', obj.ContentRange)
+  if (obj.LastModified) res.set('Last-Modified', obj.LastModified.toUTCString())
+  // pipeline destroys both streams if S3 or the client fails mid-transfer
+  pipeline(obj.Body, res, err => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error(`Stream of ${key} failed:`, err.message)
+  })
+}
+
+// Whether an object exists (false on 404, other errors are thrown)
+export async function objectExists({ key }) {
+  try {
+    await getS3().send(new HeadObjectCommand({ Bucket: config.s3.bucket, Key: key }))
+    return true
+  } catch (error) {
+    if (error.$metadata?.httpStatusCode === 404) return false
+    throw error
+  }
+}
+
 export async function uploadToS3({ key, filePath, contentType }) {
   console.log('Uploading file to S3:', { key, filePath, contentType, bucket: config.s3.bucket })
   try {
@@ -77,3 +125,19 @@ export async function uploadToS3({ key, filePath, contentType }) {
     throw error
   }
 }
+
+// Upload every file under dir to prefix, keeping relative paths (HLS/DASH packages)
+export async function uploadDirectoryToS3({ dir, prefix }) {
+  const uploaded = []
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const filePath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      uploaded.push(...await uploadDirectoryToS3({ dir: filePath, prefix: `${prefix}${entry.name}/` }))
+    } else {
+      const key = `${prefix}${entry.name}`
+      await uploadToS3({ key, filePath, contentType: mime.lookup(entry.name) || 'application/octet-stream' })
+      uploaded.push(key)
+    }
+  }
+  return uploaded
+}
@@ -238,9 +238,7 @@ export async function deleteUserFile(username, fileId) {
 
 export async function getUserJobs(username) {
   if (USE_DYNAMODB) {
-    // Jobs could be stored as a separate entity type in DynamoDB
-    // For now, return empty array as jobs are typically ephemeral
-    return []
+    return await dynamoDB.getUserJobs(username)
   } else {
     const db = getJSONDB()
     return db.jobs || []
@@ -248,17 +246,15 @@ export async function getUserJobs(username) {
 }
 
 export async function saveUserJob(username, jobId, jobData) {
+  const job = { ...jobData, id: jobId, updatedAt: new Date().toISOString() }
   if (USE_DYNAMODB) {
-    // Jobs are typically ephemeral - could be stored in DynamoDB with TTL
-    // For now, just log it
-    console.log(`Job ${jobId} for user ${username}:`, jobData)
-    return true
+    // Kept on the user's item so GET /jobs/:id and the worker see the same record
+    return await dynamoDB.saveUserJob(username, jobId, job)
   } else {
     const db = getJSONDB()
     if (!db.jobs) db.jobs = []
     
     const existingIndex = db.jobs.findIndex(j => j.id === jobId)
-    const job = { ...jobData, id: jobId, updatedAt: new Date().toISOString() }
     
     if (existingIndex >= 0) {
       db.jobs[existingIndex] = job
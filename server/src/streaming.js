@@ -0,0 +1,100 @@
+import fs from 'fs'
+import path from 'path'
+import { execCmd, probeMedia } from './video.js'
+
+// Adaptive-streaming packaging for rendered rendition ladders.
+// Renditions are encoded once (see renderRenditions) with aligned keyframes, then
+// remuxed here into HLS and/or DASH without re-encoding.
+
+export const PACKAGING_MODES = ['progressive', 'hls', 'dash', 'hls+dash']
+
+// Ladder used when a streaming package is requested without explicit renditions
+export const STREAMING_LADDER = ['1080p', '720p', '480p']
+
+// Segment length in seconds; renders force a keyframe on every segment boundary
+export const SEGMENT_SECONDS = 4
+
+export function packagingTargets(packaging = 'progressive') {
+  return {
+    hls: packaging === 'hls' || packaging === 'hls+dash',
+    dash: packaging === 'dash' || packaging === 'hls+dash'
+  }
+}
+
+// Build the shared input/map arguments for packaging a set of rendition files
+function packagingInputs(videoOutputs, hasAudio) {
+  const args = []
+  for (const o of videoOutputs) args.push('-i', o.path)
+  videoOutputs.forEach((_, i) => {
+    args.push('-map', `${i}:v:0`)
+    if (hasAudio) args.push('-map', `${i}:a:0`)
+  })
+  return args
+}
+
+// HLS: one media playlist per rendition plus a master playlist at hls/master.m3u8
+export async function packageHls(videoOutputs, outputDir, { hasAudio }) {
+  const hlsDir = path.join(outputDir, 'hls')
+  for (const o of videoOutputs) fs.mkdirSync(path.join(hlsDir, o.rendition), { recursive: true })
+
+  const streamMap = videoOutputs
+    .map((o, i) => hasAudio ? `v:${i},a:${i},name:${o.rendition}` : `v:${i},name:${o.rendition}`)
+    .join(' ')
+
+  await execCmd('ffmpeg', [
+    '-hide_banner', '-y',
+    ...packagingInputs(videoOutputs, hasAudio),
+    '-c', 'copy',
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(hlsDir, '%v', 'seg_%05d.ts'),
+    '-master_pl_name', 'master.m3u8',
+    '-var_stream_map', streamMap,
+    path.join(hlsDir, '%v', 'index.m3u8')
+  ])
+
+  return { dir: 'hls', playlist: 'hls/master.m3u8' }
+}
+
+// DASH: all video renditions in one adaptation set, audio from the top rendition
+export async function packageDash(videoOutputs, outputDir, { hasAudio }) {
+  const dashDir = path.join(outputDir, 'dash')
+  fs.mkdirSync(dashDir, { recursive: true })
+
+  const args = ['-hide_banner', '-y']
+  for (const o of videoOutputs) args.push('-i', o.path)
+  videoOutputs.forEach((_, i) => args.push('-map', `${i}:v:0`))
+  if (hasAudio) args.push('-map', '0:a:0')
+
+  await execCmd('ffmpeg', [
+    ...args,
+    '-c', 'copy',
+    '-f', 'dash',
+    '-seg_duration', String(SEGMENT_SECONDS),
+    '-use_template', '1',
+    '-use_timeline', '1',
+    '-adaptation_sets', hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v',
+    '-init_seg_name', 'init-$RepresentationID$.m4s',
+    '-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s',
+    path.join(dashDir, 'manifest.mpd')
+  ])
+
+  return { dir: 'dash', manifest: 'dash/manifest.mpd' }
+}
+
+// Package rendered outputs; returns paths relative to outputDir for each package built
+export async function packageStreaming(outputs, outputDir, packaging) {
+  const targets = packagingTargets(packaging)
+  const videoOutputs = outputs.filter(o => !o.audioOnly)
+  if (videoOutputs.length === 0) throw new Error('streaming packages need at least one video rendition')
+
+  // Renditions share one mix, so the first file tells us whether there is audio at all
+  const probe = await probeMedia(videoOutputs[0].path)
+  const hasAudio = !!probe?.streams?.some(s => s.codec_type === 'audio')
+
+  const result = {}
+  if (targets.hls) result.hls = await packageHls(videoOutputs, outputDir, { hasAudio })
+  if (targets.dash) result.dash = await packageDash(videoOutputs, outputDir, { hasAudio })
+  return result
+}
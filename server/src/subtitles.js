@@ -0,0 +1,131 @@
+import fs from 'fs'
+import path from 'path'
+
+// Subtitle tracks hold clips whose cues come from an imported SRT/WebVTT file. Cue times are
+// in the source file's time: a clip trims them with in/out and places them at `start`, the
+// same way media clips do.
+
+export const SUBTITLE_MIMETYPES = { '.srt': 'application/x-subrip', '.vtt': 'text/vtt' }
+
+export function subtitleMimetype(filename){
+  return SUBTITLE_MIMETYPES[path.extname(String(filename || '')).toLowerCase()] || null
+}
+
+// "01:02:03,456", "01:02:03.456" or the WebVTT short form "02:03.456"
+function parseTimestamp(value){
+  const m = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/)
+  if (!m) return null
+  const [, h = '0', min, s, ms] = m
+  return parseInt(h) * 3600 + parseInt(min) * 60 + parseInt(s) + parseInt(ms.padEnd(3, '0')) / 1000
+}
+
+// Parse SRT or WebVTT text into [{ start, end, text }]. Blocks without a timing line
+// (the WEBVTT header, NOTE and STYLE blocks) are skipped, as are cue settings.
+export function parseSubtitles(text){
+  const blocks = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/)
+  const cues = []
+  for (const block of blocks){
+    const lines = block.split('\n')
+    const i = lines.findIndex(l => l.includes('-->'))
+    if (i < 0) continue
+    const [from, rest = ''] = lines[i].split('-->')
+    const start = parseTimestamp(from)
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0])
+    const body = lines.slice(i + 1).join('\n').trim()
+    if (start === null || end === null || end <= start || !body) continue
+    cues.push({ start, end, text: body })
+  }
+  return cues.sort((a, b) => a.start - b.start)
+}
+
+function formatTimestamp(seconds, separator){
+  const ms = Math.round(seconds * 1000)
+  const pad = (n, w = 2) => String(n).padStart(w, '0')
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`
+}
+
+// A blank line ends a cue in both formats, so blank lines inside cue text are dropped
+function cueText(text){
+  return String(text).replace(/\r\n?/g, '\n').replace(/\n(?:[ \t]*\n)+/g, '\n').trim()
+}
+
+export function formatSrt(cues){
+  return cues.map((c, i) => `${i + 1}\n${formatTimestamp(c.start, ',')} --> ${formatTimestamp(c.end, ',')}\n${cueText(c.text)}\n`).join('\n')
+}
+
+export function formatVtt(cues){
+  return `WEBVTT\n\n${cues.map(c => `${formatTimestamp(c.start, '.')} --> ${formatTimestamp(c.end, '.')}\n${cueText(c.text)}\n`).join('\n')}`
+}
+
+// A subtitle track's cues on the project timeline, trimmed to each clip's in/out
+export function timelineCues(track){
+  const cues = []
+  for (const clip of track.clips || []){
+    const clipIn = Number(clip.in) || 0
+    const clipOut = Number.isFinite(clip.out) ? clip.out : Infinity
+    for (const cue of clip.cues || []){
+      const start = Math.max(cue.start, clipIn)
+      const end = Math.min(cue.end, clipOut)
+      if (!(end > start) || !cue.text) continue
+      cues.push({ start: clip.start + (start - clipIn), end: clip.start + (end - clipIn), text: cue.text })
+    }
+  }
+  return cues.sort((a, b) => a.start - b.start)
+}
+
+// Cues inside a rendered range ({ start, end }), shifted so the range starts at zero
+export function rangeCues(cues, range){
+  if (!range) return cues
+  const end = range.end ?? Infinity
+  return cues
+    .filter(c => c.end > range.start && c.start < end)
+    .map(c => ({ ...c, start: Math.max(0, c.start - range.start), end: Math.min(end, c.end) - range.start }))
+}
+
+// Burn-in style: size is in canvas pixels (default 5% of the height), colors are '#rrggbb'
+export const SUBTITLE_STYLE_DEFAULTS = { font: 'Sans', size: null, color: '#ffffff', outlineColor: '#000000', position: 'bottom' }
+
+// libass force_style for the subtitles filter. SRT input is laid out on a 288-line script,
+// so the canvas-pixel font size is converted to that scale.
+export function subtitleForceStyle(style = {}, height){
+  const s = { ...SUBTITLE_STYLE_DEFAULTS, ...style }
+  const size = Number.isFinite(s.size) && s.size > 0 ? s.size : Math.round(height * 0.05)
+  // ASS colors are &HBBGGRR
+  const assColor = (hex, fallback) => {
+    const m = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '') || /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(fallback)
+    return `&H00${m[3]}${m[2]}${m[1]}`.toUpperCase()
+  }
+  return [
+    `FontName=${String(s.font).replace(/[^\w -]/g, '')}`,
+    `FontSize=${Math.round(size * 288 / height)}`,
+    `PrimaryColour=${assColor(s.color, SUBTITLE_STYLE_DEFAULTS.color)}`,
+    `OutlineColour=${assColor(s.outlineColor, SUBTITLE_STYLE_DEFAULTS.outlineColor)}`,
+    'BorderStyle=1',
+    'Outline=1',
+    `Alignment=${s.position === 'top' ? 8 : 2}`,
+    'MarginV=16'
+  ].join(',')
+}
+
+// ISO 639 language for the soft track metadata
+export function subtitleLanguage(track){
+  return /^[a-z]{2,3}$/.test(track.language || '') ? track.language : 'und'
+}
+
+// Write .srt and .vtt sidecars for every subtitle track with cues. The .srt doubles as the
+// input for burn-in and soft muxing. With a range only the cues inside it are written, on
+// the range's own clock.
+export function writeSubtitleSidecars(tracks, outputDir, range = null){
+  const sidecars = []
+  tracks.filter(t => t.type === 'subtitle').forEach((track, i) => {
+    const cues = rangeCues(timelineCues(track), range)
+    if (cues.length === 0) return
+    const base = `subtitles-${i + 1}-${subtitleLanguage(track)}`
+    const srt = { filename: `${base}.srt`, path: path.join(outputDir, `${base}.srt`), contentType: SUBTITLE_MIMETYPES['.srt'] }
+    const vtt = { filename: `${base}.vtt`, path: path.join(outputDir, `${base}.vtt`), contentType: SUBTITLE_MIMETYPES['.vtt'] }
+    fs.writeFileSync(srt.path, formatSrt(cues))
+    fs.writeFileSync(vtt.path, formatVtt(cues))
+    sidecars.push({ trackId: track.id, name: track.name, language: subtitleLanguage(track), burnIn: !!track.burnIn, cues: cues.length, srt, vtt })
+  })
+  return sidecars
+}
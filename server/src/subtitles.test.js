@@ -0,0 +1,23 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { formatSrt, formatVtt, parseSubtitles } from './subtitles.js'
+
+const cues = [
+  { start: 1, end: 2.5, text: 'first\n\nsecond' },
+  { start: 3, end: 4, text: 'a\r\n \r\n\n b' }
+]
+
+test('formatSrt keeps each cue in one block when its text has blank lines', () => {
+  const srt = formatSrt(cues)
+  assert.equal(srt, '1\n00:00:01,000 --> 00:00:02,500\nfirst\nsecond\n\n2\n00:00:03,000 --> 00:00:04,000\na\n b\n')
+  assert.deepEqual(parseSubtitles(srt), [
+    { start: 1, end: 2.5, text: 'first\nsecond' },
+    { start: 3, end: 4, text: 'a\n b' }
+  ])
+})
+
+test('formatVtt keeps each cue in one block when its text has blank lines', () => {
+  const vtt = formatVtt(cues)
+  assert.ok(vtt.startsWith('WEBVTT\n\n'))
+  assert.deepEqual(parseSubtitles(vtt).map(c => c.text), ['first\nsecond', 'a\n b'])
+})
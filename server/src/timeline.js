@@ -0,0 +1,186 @@
+import { validateTransitions, KEYFRAME_PROPERTIES, KEYFRAME_EASINGS, TEXT_POSITIONS, AUDIO_ROLES, LUT_MIMETYPE } from './video.js'
+import { SUBTITLE_MIMETYPES } from './subtitles.js'
+
+// Timeline schema checks, run when a project is saved and again before it is rendered.
+// Clip times end up inside the filtergraph string, so anything that is not a plain number
+// (or a string that is not safe to hand to ffmpeg) is rejected here with an error that
+// names the track, clip and field.
+
+export const TRACK_TYPES = ['video', 'audio', 'text', 'subtitle']
+
+// Project fields a client may change with PUT /projects/:id
+export const PROJECT_FIELDS = ['name', 'width', 'height', 'fps', 'fitMode', 'tracks']
+
+export const TIMELINE_LIMITS = { maxSeconds: 6 * 3600, maxTracks: 32, maxClipsPerTrack: 500, maxTextLength: 2000, maxNameLength: 200 }
+
+// Source media may be a little shorter than the duration the client was given
+const DURATION_TOLERANCE = 0.05
+
+const FIT_MODES = ['fit-in', 'fit-out']
+const ID_PATTERN = /^[\w.-]{1,128}$/
+const FONT_PATTERN = /^[\w .-]{1,64}$/
+const COLOR_PATTERN = /^(#[0-9a-f]{6}([0-9a-f]{2})?|[a-z]+)$/i
+// Control characters other than tab and newline
+const CONTROL_CHARS = /[\u0000-\u0008\u000B-\u001F\u007F]/
+
+// Plain numbers pass through; numeric strings are converted. Anything else is NaN.
+function toNumber(value){
+  if (typeof value === 'number') return value
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) return Number(value)
+  return NaN
+}
+
+// Times are kept to the microsecond so filtergraph values stay short
+const roundTime = v => Math.round(v * 1e6) / 1e6
+
+// Which uploaded files each track type can use
+function fileFitsTrack(file, type){
+  const m = file.mimetype || ''
+  if (type === 'video') return m.startsWith('video/') || m.startsWith('image/')
+  if (type === 'audio') return m.startsWith('audio/') || m.startsWith('video/')
+  if (type === 'subtitle') return Object.values(SUBTITLE_MIMETYPES).includes(m)
+  return false
+}
+
+// Validate and normalize tracks against the user's files. Returns { tracks, errors }: the
+// tracks with numeric strings converted, times rounded and clips sorted by start, plus a
+// list of { trackId, clipId, field, message } (clipId is null for track-level problems).
+export function validateTimeline(tracks, files = []){
+  const errors = []
+  if (!Array.isArray(tracks)) {
+    return { tracks: [], errors: [{ trackId: null, clipId: null, field: 'tracks', message: 'tracks must be an array' }] }
+  }
+  if (tracks.length > TIMELINE_LIMITS.maxTracks) {
+    errors.push({ trackId: null, clipId: null, field: 'tracks', message: `at most ${TIMELINE_LIMITS.maxTracks} tracks are allowed` })
+  }
+  const filesById = new Map(files.map(f => [f.id, f]))
+  const seenIds = new Set()
+
+  const normalized = tracks.map((track, ti) => {
+    if (!track || typeof track !== 'object') {
+      errors.push({ trackId: null, clipId: null, field: `tracks[${ti}]`, message: 'track must be an object' })
+      return track
+    }
+    const trackError = (field, message) => errors.push({ trackId: track.id ?? null, clipId: null, field, message })
+    const checkId = (id, onError) => {
+      if (typeof id !== 'string' || !ID_PATTERN.test(id)) return onError('id', 'id must be 1-128 letters, digits, ".", "_" or "-"')
+      if (seenIds.has(id)) return onError('id', `duplicate id "${id}"`)
+      seenIds.add(id)
+    }
+    const checkString = (value, field, onError, { max = TIMELINE_LIMITS.maxNameLength, multiline = false } = {}) => {
+      if (value === undefined) return
+      if (typeof value !== 'string') return onError(field, `${field} must be a string`)
+      if (value.length > max) return onError(field, `${field} must be at most ${max} characters`)
+      if (CONTROL_CHARS.test(value) || (!multiline && value.includes('\n'))) onError(field, `${field} contains control characters`)
+    }
+
+    checkId(track.id, trackError)
+    if (!TRACK_TYPES.includes(track.type)) trackError('type', `unknown track type "${track.type}" (expected ${TRACK_TYPES.join(', ')})`)
+    checkString(track.name, 'name', trackError)
+    if (track.role !== undefined && !AUDIO_ROLES.includes(track.role)) trackError('role', `role must be one of: ${AUDIO_ROLES.join(', ')}`)
+    if (track.gain !== undefined && !Number.isFinite(track.gain)) trackError('gain', 'gain must be a number')
+    if (track.language !== undefined && !/^[a-z]{2,3}$/.test(track.language)) trackError('language', 'language must be a 2 or 3 letter ISO 639 code')
+    if (track.style?.font !== undefined && !FONT_PATTERN.test(track.style.font)) trackError('style.font', 'font name contains unsupported characters')
+    for (const key of ['color', 'outlineColor']) {
+      if (track.style?.[key] !== undefined && !/^#[0-9a-f]{6}$/i.test(track.style[key])) trackError(`style.${key}`, `${key} must be a #rrggbb color`)
+    }
+
+    if (!Array.isArray(track.clips)) {
+      trackError('clips', 'clips must be an array')
+      return track
+    }
+    if (track.clips.length > TIMELINE_LIMITS.maxClipsPerTrack) trackError('clips', `at most ${TIMELINE_LIMITS.maxClipsPerTrack} clips per track are allowed`)
+
+    const clips = track.clips.map(clip => {
+      if (!clip || typeof clip !== 'object') {
+        trackError('clips', 'clip must be an object')
+        return clip
+      }
+      const clipError = (field, message) => errors.push({ trackId: track.id ?? null, clipId: clip.id ?? null, field, message })
+      const c = { ...clip, type: track.type }
+      checkId(clip.id, clipError)
+      if (clip.type !== undefined && clip.type !== track.type) clipError('type', `a ${clip.type} clip cannot be placed on a ${track.type} track`)
+      // Text clips are named after their (possibly multi-line) text
+      checkString(clip.name, 'name', clipError, { max: TIMELINE_LIMITS.maxTextLength, multiline: true })
+
+      // Timing: start on the timeline, in/out in the source
+      for (const field of ['start', 'in', 'out']) {
+        const v = toNumber(clip[field])
+        if (!Number.isFinite(v)) { clipError(field, `${field} must be a number`); continue }
+        if (v < 0 || v > TIMELINE_LIMITS.maxSeconds) { clipError(field, `${field} must be between 0 and ${TIMELINE_LIMITS.maxSeconds} seconds`); continue }
+        c[field] = roundTime(v)
+      }
+      // Freeze frames hold the single frame at `in`, so they are the only clips with in == out
+      if (Number.isFinite(c.in) && Number.isFinite(c.out)) {
+        if (clip.freeze ? c.out < c.in : c.out <= c.in) clipError('out', clip.freeze ? 'out must not be before in' : 'in must be before out')
+      }
+      if (clip.freeze !== undefined) {
+        const hold = toNumber(clip.freeze?.duration)
+        if (!(hold > 0) || hold > TIMELINE_LIMITS.maxSeconds) clipError('freeze.duration', 'freeze duration must be a positive number of seconds')
+      }
+      for (const field of ['speed', 'gain', 'fadeIn', 'fadeOut', 'pan', 'x', 'y', 'size']) {
+        if (clip[field] !== undefined && clip[field] !== null && !Number.isFinite(clip[field])) clipError(field, `${field} must be a number`)
+      }
+      if (clip.fitMode !== undefined && !FIT_MODES.includes(clip.fitMode)) clipError('fitMode', `fitMode must be one of: ${FIT_MODES.join(', ')}`)
+
+      // Source file: media and subtitle clips need one the user owns, of a matching type
+      const needsFile = track.type === 'video' || track.type === 'audio'
+      if (clip.fileId !== undefined || needsFile) {
+        const file = filesById.get(clip.fileId)
+        if (!file) clipError('fileId', `unknown file "${clip.fileId}"`)
+        else if (!fileFitsTrack(file, track.type)) clipError('fileId', `${file.name || file.id} (${file.mimetype}) cannot be used on a ${track.type} track`)
+        else if (Number.isFinite(file.duration) && !file.mimetype.startsWith('image/') && Number.isFinite(c.out) && c.out > file.duration + DURATION_TOLERANCE) {
+          clipError('out', `out (${c.out}s) is beyond the end of ${file.name || file.id} (${file.duration}s)`)
+        }
+      }
+      if (clip.color?.lutFileId !== undefined) {
+        const lut = filesById.get(clip.color.lutFileId)
+        if (!lut || lut.mimetype !== LUT_MIMETYPE) clipError('color.lutFileId', `unknown LUT "${clip.color.lutFileId}"`)
+      }
+
+      // Text and subtitle content is escaped for ffmpeg, but control characters are not
+      if (track.type === 'text') {
+        checkString(clip.text, 'text', clipError, { max: TIMELINE_LIMITS.maxTextLength, multiline: true })
+        if (clip.font !== undefined && !FONT_PATTERN.test(clip.font)) clipError('font', 'font name contains unsupported characters')
+        for (const key of ['color', 'boxColor']) {
+          if (clip[key] !== undefined && !COLOR_PATTERN.test(clip[key])) clipError(key, `${key} must be a #rrggbb(aa) color or a color name`)
+        }
+        if (clip.position !== undefined && !TEXT_POSITIONS[clip.position]) clipError('position', `position must be one of: ${Object.keys(TEXT_POSITIONS).join(', ')}`)
+      }
+      if (track.type === 'subtitle') {
+        if (!Array.isArray(clip.cues)) clipError('cues', 'cues must be an array')
+        else clip.cues.forEach((cue, i) => {
+          if (!Number.isFinite(cue?.start) || !Number.isFinite(cue?.end) || cue.end <= cue.start) clipError(`cues[${i}]`, 'cue start and end must be numbers with start before end')
+          checkString(cue?.text, `cues[${i}].text`, clipError, { max: TIMELINE_LIMITS.maxTextLength, multiline: true })
+        })
+      }
+
+      if (clip.keyframes !== undefined) {
+        if (!clip.keyframes || typeof clip.keyframes !== 'object') clipError('keyframes', 'keyframes must be an object')
+        else for (const [prop, keys] of Object.entries(clip.keyframes)) {
+          if (!KEYFRAME_PROPERTIES.includes(prop)) { clipError(`keyframes.${prop}`, `${prop} cannot be animated`); continue }
+          if (!Array.isArray(keys)) { clipError(`keyframes.${prop}`, 'keyframes must be an array'); continue }
+          keys.forEach((k, i) => {
+            if (!Number.isFinite(k?.time) || k.time < 0 || !Number.isFinite(k?.value)) clipError(`keyframes.${prop}[${i}]`, 'keyframe time and value must be numbers')
+            else if (k.time > TIMELINE_LIMITS.maxSeconds) clipError(`keyframes.${prop}[${i}]`, `keyframe time must be at most ${TIMELINE_LIMITS.maxSeconds} seconds`)
+            else if (k.easing !== undefined && !KEYFRAME_EASINGS.includes(k.easing)) clipError(`keyframes.${prop}[${i}]`, `easing must be one of: ${KEYFRAME_EASINGS.join(', ')}`)
+          })
+        }
+      }
+      return c
+    })
+
+    const transitionError = validateTransitions([track])
+    if (transitionError) trackError('transitions', transitionError)
+
+    return { ...track, clips: [...clips].sort((a, b) => (a?.start ?? 0) - (b?.start ?? 0)) }
+  })
+
+  return { tracks: normalized, errors }
+}
+
+// One-line summary of validation errors for logs and the error response message
+export function describeTimelineErrors(errors){
+  const first = errors.slice(0, 3).map(e => `${[e.trackId, e.clipId].filter(Boolean).join('/') || 'project'} ${e.field}: ${e.message}`)
+  return `${errors.length} timeline problem(s): ${first.join('; ')}${errors.length > 3 ? '; ...' : ''}`
+}
@@ -2,8 +2,11 @@ import { spawn } from 'child_process'
 import { cacheSet } from './cache.js'
 import path from 'path'
 import fs from 'fs'
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3'
+import os from 'os'
+import { fileURLToPath } from 'url'
+import { uploadToS3 } from './s3.js'
 import config from './config.js'
+import { timelineCues, subtitleForceStyle, subtitleLanguage, writeSubtitleSidecars } from './subtitles.js'
 
 export function execCmd(cmd, args){
   return new Promise((resolve, reject)=> {
@@ -26,77 +29,896 @@ export async function probeMedia(filepath){
   } catch (e) { return null }
 }
 
-// S3 client for uploading renders and thumbnails
-let s3Client
-function getS3Client() {
-  if (!s3Client) {
-    const clientConfig = { region: config.region }
-    if (config.aws?.accessKeyId && config.aws?.secretAccessKey) {
-      clientConfig.credentials = {
-        accessKeyId: config.aws.accessKeyId,
-        secretAccessKey: config.aws.secretAccessKey
-      }
+// An ffmpeg rational ("30000/1001") as a number; null for "0/0" and the like
+function parseRate(value){
+  const [n, d = '1'] = String(value || '').split('/')
+  const rate = Number(n) / Number(d)
+  return Number.isFinite(rate) && rate > 0 ? rate : null
+}
+
+// The probe details kept on a file record (`media`) so renders need not probe again.
+// rotation is the clockwise turn (0/90/180/270) that makes the picture upright, and
+// displayWidth/displayHeight are the size after it. vfr flags variable frame rate input,
+// where the average rate drifts from the nominal one. Cover art in audio files is not video.
+export function describeMedia(probe){
+  const streams = probe?.streams || []
+  const v = streams.find(s => s.codec_type === 'video' && !s.disposition?.attached_pic)
+  const a = streams.find(s => s.codec_type === 'audio')
+  let video = null
+  if (v) {
+    // The display matrix holds the counter-clockwise angle; older files use a rotate tag
+    const matrix = v.side_data_list?.find(d => Number.isFinite(d.rotation))
+    const degrees = matrix ? -matrix.rotation : parseInt(v.tags?.rotate) || 0
+    const rotation = ((Math.round(degrees / 90) * 90) % 360 + 360) % 360
+    const frameRate = parseRate(v.avg_frame_rate)
+    const nominal = parseRate(v.r_frame_rate)
+    const turned = rotation === 90 || rotation === 270
+    video = {
+      codec: v.codec_name,
+      width: v.width,
+      height: v.height,
+      displayWidth: turned ? v.height : v.width,
+      displayHeight: turned ? v.width : v.height,
+      pixelFormat: v.pix_fmt || null,
+      frameRate: frameRate && Math.round(frameRate * 1000) / 1000,
+      vfr: !!(frameRate && nominal && Math.abs(frameRate - nominal) / nominal > 0.01),
+      rotation
     }
-    s3Client = new S3Client(clientConfig)
   }
-  return s3Client
+  const audio = a ? {
+    codec: a.codec_name,
+    channels: a.channels || null,
+    channelLayout: a.channel_layout || null,
+    sampleRate: parseInt(a.sample_rate) || null
+  } : null
+  return {
+    container: probe?.format?.format_name || null,
+    duration: parseFloat(probe?.format?.duration) || null,
+    bitrate: parseInt(probe?.format?.bit_rate) || null,
+    video,
+    audio
+  }
 }
 
-// Upload file to S3 and return the S3 key
-export async function uploadToS3(localFilePath, s3Key, contentType) {
-  try {
-    const fileBuffer = fs.readFileSync(localFilePath)
-    
-    const uploadCommand = new PutObjectCommand({
-      Bucket: config.s3.bucket,
-      Key: s3Key,
-      Body: fileBuffer,
-      ContentType: contentType,
-      Metadata: {
-        'upload-timestamp': new Date().toISOString(),
-        'original-filename': path.basename(localFilePath)
-      }
+// Media derived from an upload (thumbnail, waveform, filmstrip) sits under the thumbnails
+// prefix in S3, or in data/thumbnails when running locally. Moves tmpPath into place and
+// returns { s3Key } or { url }.
+const THUMBNAILS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'thumbnails')
+
+export async function storeDerivedMedia(tmpPath, username, fileId, name, contentType){
+  if (config.features.useS3) {
+    const s3Key = `${config.s3.thumbsPrefix}${username}/${fileId}/${name}`
+    await uploadToS3({ key: s3Key, filePath: tmpPath, contentType })
+    fs.unlinkSync(tmpPath)
+    return { s3Key }
+  }
+  const dir = path.join(THUMBNAILS_DIR, fileId)
+  fs.mkdirSync(dir, { recursive: true })
+  // /tmp may be another filesystem, so copy rather than rename
+  fs.copyFileSync(tmpPath, path.join(dir, name))
+  fs.unlinkSync(tmpPath)
+  return { url: `/media/thumbnails/${fileId}/${name}` }
+}
+
+// Local path of media stored by storeDerivedMedia
+export function derivedMediaPath(fileId, name){
+  return path.join(THUMBNAILS_DIR, fileId, name)
+}
+
+// A frame `seconds` in as the file's thumbnail.jpg
+export async function generateThumbnail(inputPath, username, videoId, seconds = 1){
+  const tempPath = `/tmp/thumb_${videoId}_${Date.now()}.jpg`
+  await execCmd('ffmpeg', ['-y','-ss', String(seconds),'-i',inputPath,'-frames:v','1', tempPath])
+  return storeDerivedMedia(tempPath, username, videoId, 'thumbnail.jpg', 'image/jpeg')
+}
+
+// Canvas limits for rendered output. Dimensions must be even for yuv420p.
+export const CANVAS_LIMITS = { minSize: 128, maxSize: 4096, minFps: 1, maxFps: 120 }
+
+// Check a project canvas; returns an error message, or null if it can be rendered
+export function validateCanvas({ width, height, fps }){
+  const { minSize, maxSize, minFps, maxFps } = CANVAS_LIMITS
+  for (const [name, v] of [['width', width], ['height', height]]){
+    if (!Number.isInteger(v)) return `${name} must be an integer`
+    if (v < minSize || v > maxSize) return `${name} must be between ${minSize} and ${maxSize}`
+    if (v % 2 !== 0) return `${name} must be an even number`
+  }
+  if (typeof fps !== 'number' || !Number.isFinite(fps)) return 'fps must be a number'
+  if (fps < minFps || fps > maxFps) return `fps must be between ${minFps} and ${maxFps}`
+  return null
+}
+
+// Scale a clip into the canvas: fit-in letterboxes/pillarboxes, fit-out fills and crops
+export function fitFilter(fitMode, width, height, padColor = 'black'){
+  if (fitMode === 'fit-out') {
+    return `scale=${width}:${height}:force_original_aspect_ratio=increase:force_divisible_by=2,crop=${width}:${height},setsar=1`
+  }
+  return `scale=${width}:${height}:force_original_aspect_ratio=decrease:force_divisible_by=2,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:${padColor},setsar=1`
+}
+
+// Named output ladder. `size` is the short edge of the canvas, so portrait and square
+// projects step down the same way landscape ones do. Bitrates cap the CRF encode.
+export const RENDITIONS = {
+  '2160p': { size: 2160, maxrate: '35M', bufsize: '70M', audioBitrate: '192k' },
+  '1080p': { size: 1080, maxrate: '8M', bufsize: '16M', audioBitrate: '192k' },
+  '720p': { size: 720, maxrate: '5M', bufsize: '10M', audioBitrate: '128k' },
+  '480p': { size: 480, maxrate: '2500k', bufsize: '5M', audioBitrate: '96k' },
+  'audio': { audioOnly: true, audioBitrate: '192k' }
+}
+
+// Output containers and codecs. `video` names the encoder (see VIDEO_ENCODERS); `audio` is
+// the codec for the mix and the container used for the `audio` rendition. Formats without
+// `video` are audio-only; formats without `audio` are silent.
+export const OUTPUT_FORMATS = {
+  'mp4': { ext: 'mp4', contentType: 'video/mp4', video: 'h264', audio: { codec: 'aac', ext: 'm4a', contentType: 'audio/mp4' }, subtitleCodec: 'mov_text' },
+  'webm': { ext: 'webm', contentType: 'video/webm', video: 'vp9', audio: { codec: 'libopus', ext: 'webm', contentType: 'audio/webm' }, subtitleCodec: 'webvtt' },
+  'av1': { ext: 'mp4', contentType: 'video/mp4', video: 'av1', audio: { codec: 'aac', ext: 'm4a', contentType: 'audio/mp4' }, subtitleCodec: 'mov_text' },
+  'prores': { ext: 'mov', contentType: 'video/quicktime', video: 'prores', audio: { codec: 'pcm_s24le', ext: 'wav', contentType: 'audio/wav' }, subtitleCodec: 'mov_text' },
+  'gif': { ext: 'gif', contentType: 'image/gif', video: 'gif', maxFps: 15 },
+  'webp': { ext: 'webp', contentType: 'image/webp', video: 'webp', maxFps: 15 },
+  // Stills: one frame of the composed timeline at options.stillTime
+  'png': { ext: 'png', contentType: 'image/png', video: 'png', still: true },
+  'jpeg': { ext: 'jpg', contentType: 'image/jpeg', video: 'mjpeg', still: true },
+  'mp3': { audio: { codec: 'libmp3lame', ext: 'mp3', contentType: 'audio/mpeg' } },
+  'wav': { audio: { codec: 'pcm_s16le', ext: 'wav', contentType: 'audio/wav' } }
+}
+
+// Encoder arguments per codec. `tier` is 0/1/2 for the fast/default/quality presets.
+const VIDEO_ENCODERS = {
+  h264: (tier, r) => ['-c:v','libx264','-preset', ['veryfast','medium','veryslow'][tier], '-crf', String([23, 20, 18][tier]), '-pix_fmt','yuv420p', '-maxrate', r.maxrate, '-bufsize', r.bufsize],
+  // Constrained quality: -b:v is the ceiling for the CRF encode
+  vp9: (tier, r) => ['-c:v','libvpx-vp9','-deadline','good','-cpu-used', String([4, 2, 1][tier]), '-row-mt','1', '-crf', String([36, 32, 28][tier]), '-b:v', r.maxrate, '-pix_fmt','yuv420p'],
+  av1: (tier, r) => ['-c:v','libsvtav1','-preset', String([10, 8, 5][tier]), '-crf', String([36, 32, 26][tier]), '-pix_fmt','yuv420p', '-maxrate', r.maxrate, '-bufsize', r.bufsize],
+  // ProRes 422 is an intermediate for finishing, so it ignores the preset and bitrate caps
+  prores: () => ['-c:v','prores_ks','-profile:v','2','-vendor','apl0','-pix_fmt','yuv422p10le'],
+  gif: () => ['-c:v','gif','-loop','0'],
+  webp: tier => ['-c:v','libwebp','-lossless','0','-quality', String([60, 75, 90][tier]), '-loop','0','-pix_fmt','yuv420p'],
+  png: () => ['-c:v','png','-pix_fmt','rgb24'],
+  mjpeg: tier => ['-c:v','mjpeg','-q:v', String([5, 3, 2][tier]), '-pix_fmt','yuvj420p']
+}
+
+function presetTier(preset){
+  return preset === 'fast' ? 0 : preset === 'quality' ? 2 : 1
+}
+
+// Audio codec arguments; PCM has no bitrate to set
+function audioCodecArgs(codec, bitrate){
+  return codec.startsWith('pcm_') ? ['-c:a', codec] : ['-c:a', codec, '-b:a', bitrate]
+}
+
+// Look up an output format by name; throws on unknown names
+export function resolveOutputFormat(name = 'mp4'){
+  const format = OUTPUT_FORMATS[name]
+  if (!format) throw new Error(`format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`)
+  return { name, ...format }
+}
+
+// Resolve rendition names to output sizes for a canvas; throws on unknown names or
+// renditions the output format cannot carry
+export function resolveRenditions(names, width, height, formatName = 'mp4'){
+  if (!Array.isArray(names) || names.length === 0) throw new Error('at least one rendition is required')
+  const unknown = names.filter(n => !RENDITIONS[n])
+  if (unknown.length > 0) throw new Error(`unknown rendition(s): ${unknown.join(', ')}`)
+  const format = resolveOutputFormat(formatName)
+  if (!format.video && names.some(n => !RENDITIONS[n].audioOnly)) throw new Error(`${format.name} is audio-only; use the audio rendition`)
+  if (!format.audio && names.some(n => RENDITIONS[n].audioOnly)) throw new Error(`${format.name} has no audio; remove the audio rendition`)
+
+  const even = v => Math.max(2, Math.round(v / 2) * 2)
+  return [...new Set(names)].map(name => {
+    const r = RENDITIONS[name]
+    if (r.audioOnly) return { name, ...r, ext: format.audio.ext, contentType: format.audio.contentType }
+    const scale = r.size / Math.min(width, height)
+    return { name, ...r, width: even(width * scale), height: even(height * scale), ext: format.ext, contentType: format.contentType }
+  })
+}
+
+// Part of the timeline to render. Returns null for the whole timeline, { start, end } for
+// rangeStart/rangeEnd (end is null to run to the end of the timeline), or { start, still }
+// for still formats, which need a stillTime. Throws on values that do not make a range.
+export function resolveRenderRange({ rangeStart, rangeEnd, stillTime } = {}, formatName = 'mp4'){
+  const format = resolveOutputFormat(formatName)
+  const isTime = v => Number.isFinite(v) && v >= 0
+  if (format.still) {
+    if (!isTime(stillTime)) throw new Error(`${format.name} renders a still; stillTime must be a time in seconds`)
+    if (rangeStart != null || rangeEnd != null) throw new Error('rangeStart/rangeEnd do not apply to stills')
+    return { start: stillTime, still: true }
+  }
+  if (stillTime != null) throw new Error('stillTime needs a still format (png or jpeg)')
+  if (rangeStart == null && rangeEnd == null) return null
+  if (rangeStart != null && !isTime(rangeStart)) throw new Error('rangeStart must be a time in seconds')
+  if (rangeEnd != null && !isTime(rangeEnd)) throw new Error('rangeEnd must be a time in seconds')
+  const start = rangeStart ?? 0
+  if (rangeEnd != null && rangeEnd <= start) throw new Error('rangeEnd must be after rangeStart')
+  return { start, end: rangeEnd ?? null }
+}
+
+// Composed-timeline previews stream to the player while they encode: one small rendition,
+// a fast x264 setting and fragmented MP4 (faststart has to rewrite the finished file).
+export const PREVIEW_LIMITS = { maxSeconds: 60, defaultSeconds: 10, maxHeight: 720, maxFps: 30 }
+const PREVIEW_RENDITION = { name: 'preview', audioBitrate: '96k', ext: 'mp4', contentType: 'video/mp4' }
+
+// The project on a canvas `height` pixels tall (never larger than its own, never below the
+// canvas minimum). Text sizes and pixel positions scale with it so the preview is laid out
+// like the full-size render; everything else is already relative to the canvas.
+export function previewProject(project, height){
+  const { width = 1920, height: canvasHeight = 1080, fps = 30, tracks = [] } = project
+  const scale = Math.min(1, Math.max(height / canvasHeight, CANVAS_LIMITS.minSize / Math.min(width, canvasHeight)))
+  const even = v => Math.max(2, Math.round(v / 2) * 2)
+  const px = v => Number.isFinite(v) ? Math.round(v * scale) : v
+  return {
+    ...project,
+    width: even(width * scale),
+    height: even(canvasHeight * scale),
+    fps: Math.min(fps, PREVIEW_LIMITS.maxFps),
+    tracks: tracks.map(t => {
+      if (t.type === 'text') return { ...t, clips: (t.clips || []).map(c => ({ ...c, size: px(c.size), x: px(c.x), y: px(c.y) })) }
+      if (t.type === 'subtitle' && Number.isFinite(t.style?.size)) return { ...t, style: { ...t.style, size: px(t.style.size) } }
+      return t
     })
-    
-    await getS3Client().send(uploadCommand)
-    console.log(`Uploaded ${localFilePath} to S3: s3://${config.s3.bucket}/${s3Key}`)
-    
-    // Clean up local file after upload
-    fs.unlinkSync(localFilePath)
-    
-    return {
-      success: true,
-      s3Key,
-      bucket: config.s3.bucket,
-      url: `https://${config.s3.bucket}.s3.${config.region}.amazonaws.com/${s3Key}`
+  }
+}
+
+// Output files for a rendition ladder, one per rendition inside outputDir
+export function renditionOutputs(names, width, height, outputDir, formatName = 'mp4'){
+  return resolveRenditions(names, width, height, formatName).map(r => ({
+    rendition: r.name,
+    width: r.width,
+    height: r.height,
+    audioOnly: !!r.audioOnly,
+    contentType: r.contentType,
+    filename: `${r.name}.${r.ext}`,
+    path: path.join(outputDir, `${r.name}.${r.ext}`)
+  }))
+}
+
+// Transitions stored on a track between two adjacent clips
+export const TRANSITION_TYPES = ['crossfade', 'dip-to-black', 'wipe', 'slide']
+export const TRANSITION_DIRECTIONS = ['left', 'right', 'up', 'down']
+export const MAX_TRANSITION_SECONDS = 10
+
+// Check track transitions; returns an error message, or null if they are usable
+export function validateTransitions(tracks = []){
+  for (const t of tracks){
+    if (t.transitions === undefined) continue
+    if (!Array.isArray(t.transitions)) return `track ${t.name || t.id}: transitions must be an array`
+    const clipIds = new Set((t.clips || []).map(c => c.id))
+    for (const tr of t.transitions){
+      if (!TRANSITION_TYPES.includes(tr.type)) return `track ${t.name || t.id}: unknown transition type "${tr.type}"`
+      if (tr.direction !== undefined && !TRANSITION_DIRECTIONS.includes(tr.direction)) return `track ${t.name || t.id}: unknown transition direction "${tr.direction}"`
+      if (typeof tr.duration !== 'number' || !(tr.duration > 0) || tr.duration > MAX_TRANSITION_SECONDS) {
+        return `track ${t.name || t.id}: transition duration must be between 0 and ${MAX_TRANSITION_SECONDS} seconds`
+      }
+      if (!clipIds.has(tr.fromClipId) || !clipIds.has(tr.toClipId)) return `track ${t.name || t.id}: transition references a clip that is not on the track`
     }
-  } catch (error) {
-    console.error('Error uploading to S3:', error)
-    throw error
   }
+  return null
 }
 
-export async function generateThumbnail(inputPath, username, videoId){
-  const tempPath = `/tmp/thumb_${videoId}_${Date.now()}.jpg`
-  await execCmd('ffmpeg', ['-y','-ss','1.0','-i',inputPath,'-frames:v','1', tempPath])
-  
-  // Upload thumbnail to S3
-  const s3Key = `${config.s3.thumbsPrefix}${username}/${videoId}/thumbnail.jpg`
-  const result = await uploadToS3(tempPath, s3Key, 'image/jpeg')
-  
-  return result
+// Map a timeline transition to an ffmpeg xfade transition name
+function xfadeName(tr){
+  const dir = TRANSITION_DIRECTIONS.includes(tr.direction) ? tr.direction : 'left'
+  if (tr.type === 'dip-to-black') return 'fadeblack'
+  if (tr.type === 'wipe') return `wipe${dir}`
+  if (tr.type === 'slide') return `slide${dir}`
+  return 'fade'
+}
+
+// Playback speed range; audio keeps its pitch via atempo
+export const SPEED_LIMITS = { min: 0.25, max: 4 }
+
+// Playback speed of a clip; stills and freeze frames always play at 1x
+export function clipSpeed(clip){
+  if (clip.freeze || isImageClip(clip)) return 1
+  return Number.isFinite(clip.speed) ? Math.min(SPEED_LIMITS.max, Math.max(SPEED_LIMITS.min, clip.speed)) : 1
+}
+
+// Length a clip occupies on the timeline: the source span divided by the speed, or the hold
+// length of a freeze frame (which shows the source frame at `in`). The client's clipLength
+// uses the same math.
+export function clipDuration(clip){
+  if (clip.freeze) return Math.max(0, Number(clip.freeze.duration) || 0)
+  return (clip.out - clip.in) / clipSpeed(clip)
+}
+
+// Filters that stand a rotated source upright (see describeMedia); null when it already is.
+// Rotated inputs are opened with -noautorotate so the turn happens here, once, whatever
+// the ffmpeg build does with display matrices.
+function uprightFilter(clip){
+  return { 90: 'transpose=clock', 180: 'hflip,vflip', 270: 'transpose=cclock' }[clip.media?.video?.rotation] || null
+}
+
+// Trim a clip's source video onto clip-local time, applying reverse, speed or freeze.
+// Variable frame rate sources are resampled to the project fps.
+function videoSourceFilter(clip, inputIndex, fps){
+  const upright = uprightFilter(clip)
+  const source = `[${inputIndex}:v]${upright ? `${upright},` : ''}`
+  if (clip.freeze) {
+    // Keep the single frame at `in` and clone it for the hold length
+    const hold = clipDuration(clip)
+    return `${source}trim=start=${clip.in},setpts=PTS-STARTPTS,trim=end_frame=1,tpad=stop_mode=clone:stop_duration=${hold},trim=duration=${hold}`
+  }
+  const speed = clipSpeed(clip)
+  const filters = [`${source}trim=start=${clip.in}:end=${clip.out}`, 'setpts=PTS-STARTPTS']
+  // reverse buffers the whole trimmed span in memory
+  if (clip.reverse) filters.push('reverse')
+  if (speed !== 1) filters.push(`setpts=PTS/${speed}`)
+  if (clip.media?.video?.vfr) filters.push(`fps=${fps}`)
+  return filters.join(',')
+}
+
+// atempo is limited to 0.5-2 per instance on older ffmpeg builds, so chain it for larger changes
+function atempoFilters(speed){
+  const filters = []
+  let rest = speed
+  while (rest > 2) { filters.push('atempo=2'); rest /= 2 }
+  while (rest < 0.5) { filters.push('atempo=0.5'); rest /= 0.5 }
+  if (rest !== 1) filters.push(`atempo=${rest}`)
+  return filters
+}
+
+// Same as videoSourceFilter for audio; freeze frames are silent
+function audioSourceFilter(clip, inputIndex){
+  if (clip.freeze) return `anullsrc=r=48000:cl=stereo,atrim=duration=${clipDuration(clip)}`
+  const filters = [`[${inputIndex}:a]atrim=start=${clip.in}:end=${clip.out}`, 'asetpts=PTS-STARTPTS']
+  if (clip.reverse) filters.push('areverse')
+  filters.push(...atempoFilters(clipSpeed(clip)))
+  return filters.join(',')
+}
+
+// Group a track's clips into chains joined by transitions. A transition overlaps the tail
+// of one clip with the head of the next, so a chain starts at its first clip and lasts
+// the sum of its clip lengths minus the transition durations. The client keeps the
+// second clip's start at (first clip end - duration) to match.
+export function buildClipChains(clips, transitions = []){
+  const chains = []
+  for (const clip of [...clips].sort((a, b) => a.start - b.start)){
+    const prev = chains[chains.length - 1]
+    const last = prev?.clips[prev.clips.length - 1]
+    const tr = last && transitions.find(t => t.fromClipId === last.id && t.toClipId === clip.id)
+    const len = clipDuration(clip)
+    if (tr && tr.duration > 0 && tr.duration < Math.min(clipDuration(last), len)) {
+      prev.clips.push(clip)
+      prev.transitions.push(tr)
+      prev.duration += len - tr.duration
+    } else {
+      chains.push({ start: clip.start, clips: [clip], transitions: [], duration: len })
+    }
+  }
+  return chains
+}
+
+// Text clip placement presets; x/y on the clip (pixels) override these
+export const TEXT_POSITIONS = {
+  'center': { x: '(w-text_w)/2', y: '(h-text_h)/2' },
+  'top': { x: '(w-text_w)/2', y: 'h*0.08' },
+  'bottom': { x: '(w-text_w)/2', y: 'h*0.92-text_h' },
+  'lower-third': { x: 'w*0.06', y: 'h*0.72' },
+  'top-left': { x: 'w*0.05', y: 'h*0.06' },
+  'top-right': { x: 'w*0.95-text_w', y: 'h*0.06' }
+}
+
+// Escape a value for drawtext inside -filter_complex: once for the option parser,
+// once more for the filtergraph parser
+function escapeFilterValue(value){
+  const option = String(value).replace(/[\\':]/g, m => `\\${m}`)
+  return option.replace(/[\\'\[\],;]/g, m => `\\${m}`)
+}
+
+// '#rrggbb', '#rrggbbaa' or a plain color name; anything else falls back
+function drawtextColor(value, fallback){
+  if (typeof value !== 'string') return fallback
+  if (/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value)) return `0x${value.slice(1)}`
+  if (/^[a-z]+$/i.test(value)) return value
+  return fallback
+}
+
+// drawtext filter for a text clip, enabled (and faded) over its span on the timeline
+export function drawtextFilter(clip, height){
+  const start = clip.start
+  const end = clip.start + clipDuration(clip)
+  const preset = TEXT_POSITIONS[clip.position] || TEXT_POSITIONS['center']
+  const x = Number.isFinite(clip.x) ? clip.x : preset.x
+  const y = Number.isFinite(clip.y) ? clip.y : preset.y
+  const size = Number.isFinite(clip.size) && clip.size > 0 ? clip.size : Math.round(height * 0.06)
+  const fadeIn = Math.max(0, Number(clip.fadeIn) || 0)
+  const fadeOut = Math.max(0, Number(clip.fadeOut) || 0)
+
+  const opts = [
+    `text=${escapeFilterValue(clip.text || '')}`,
+    'expansion=none',
+    `font=${escapeFilterValue(clip.font || 'Sans')}`,
+    `fontsize=${size}`,
+    `fontcolor=${drawtextColor(clip.color, 'white')}`,
+    `x=${x}`,
+    `y=${y}`
+  ]
+  if (clip.box) {
+    opts.push('box=1', `boxcolor=${drawtextColor(clip.boxColor, 'black@0.6')}`, `boxborderw=${Math.round(size * 0.3)}`)
+  }
+  if (fadeIn > 0 || fadeOut > 0) {
+    const fin = fadeIn > 0 ? `if(lt(t,${start + fadeIn}),(t-${start})/${fadeIn},` : ''
+    const fout = fadeOut > 0 ? `if(gt(t,${end - fadeOut}),(${end}-t)/${fadeOut},1)` : '1'
+    opts.push(`alpha='${fin}${fout}${fadeIn > 0 ? ')' : ''}'`)
+  }
+  opts.push(`enable='between(t,${start},${end})'`)
+  return `drawtext=${opts.join(':')}`
+}
+
+// Still images (and GIFs) have no duration of their own; they are looped for the clip length
+export function isImageClip(clip){
+  return !!clip.mimetype?.startsWith('image/')
+}
+
+// Input options for a clip's source file
+function clipInputArgs(clip, fps){
+  if (!isImageClip(clip)) return [...(uprightFilter(clip) ? ['-noautorotate'] : []), '-i', clip.path]
+  // GIFs keep their own animation (looped); other images become a constant-rate still
+  if (clip.mimetype === 'image/gif') return ['-ignore_loop', '0', '-t', String(clip.out), '-i', clip.path]
+  return ['-loop', '1', '-framerate', String(fps), '-t', String(clip.out), '-i', clip.path]
+}
+
+// Normalized source rectangle (0..1) for pan/zoom; clamped inside the frame
+function motionRect(rect){
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, Number.isFinite(v) ? v : lo))
+  const size = clamp(Math.max(rect?.w ?? 1, rect?.h ?? 0), 0.05, 1)
+  return { x: clamp(rect?.x, 0, 1 - size), y: clamp(rect?.y, 0, 1 - size), size }
+}
+
+// Ken Burns pan/zoom between two rectangles with zoompan. The image is first filled to the
+// canvas aspect (at 2x to smooth zoompan's integer steps), so rectangles keep that aspect
+// and only their larger side is used.
+export function kenBurnsFilter(motion, seconds, width, height, fps){
+  const from = motionRect(motion.from)
+  const to = motionRect(motion.to)
+  const frames = Math.max(1, Math.round(seconds * fps) - 1)
+  const p = `min(on/${frames},1)`
+  const lerp = (a, b) => `(${a}+(${b - a})*${p})`
+  return [
+    `scale=${width * 2}:${height * 2}:force_original_aspect_ratio=increase`,
+    `crop=${width * 2}:${height * 2}`,
+    `zoompan=z='1/${lerp(from.size, to.size)}':x='iw*${lerp(from.x, to.x)}':y='ih*${lerp(from.y, to.y)}':d=1:s=${width}x${height}:fps=${fps}`,
+    'setsar=1'
+  ].join(',')
+}
+
+// Clip properties that can be animated with keyframes. Keyframe times are seconds from the
+// start of the clip; each keyframe's easing shapes the segment leading to the next one.
+export const KEYFRAME_PROPERTIES = ['x', 'y', 'scale', 'rotation', 'opacity', 'volume']
+export const KEYFRAME_EASINGS = ['linear', 'ease-in', 'ease-out', 'ease-in-out', 'hold']
+
+// Easing curves over progress p (0..1), as ffmpeg expressions and as plain functions.
+// The client preview uses the same curves.
+const EASING_EXPR = {
+  'linear': p => p,
+  'ease-in': p => `${p}*${p}`,
+  'ease-out': p => `${p}*(2-${p})`,
+  'ease-in-out': p => `${p}*${p}*(3-2*${p})`
+}
+const EASING_FN = {
+  'linear': p => p,
+  'ease-in': p => p * p,
+  'ease-out': p => p * (2 - p),
+  'ease-in-out': p => p * p * (3 - 2 * p)
+}
+
+// Valid keyframes for one property, sorted by time; null when the property is not animated
+export function clipKeyframes(clip, property){
+  const keys = clip.keyframes?.[property]
+  if (!Array.isArray(keys)) return null
+  const valid = keys
+    .filter(k => Number.isFinite(k?.time) && Number.isFinite(k?.value))
+    .map(k => ({ time: Math.max(0, k.time), value: k.value, easing: KEYFRAME_EASINGS.includes(k.easing) ? k.easing : 'linear' }))
+    .sort((a, b) => a.time - b.time)
+  return valid.length > 0 ? valid : null
+}
+
+// Value of a keyframed property at clip-local time; holds the first/last value outside the keys
+export function keyframeValue(keys, time){
+  if (time <= keys[0].time) return keys[0].value
+  for (let i = 0; i < keys.length - 1; i++){
+    const a = keys[i], b = keys[i + 1]
+    if (time >= b.time) continue
+    if (a.easing === 'hold' || b.time <= a.time) return a.value
+    return a.value + (b.value - a.value) * EASING_FN[a.easing]((time - a.time) / (b.time - a.time))
+  }
+  return keys[keys.length - 1].value
+}
+
+// Piecewise ffmpeg expression for a keyframed property; tv is the clip-local time expression
+export function keyframeExpr(keys, tv = 't'){
+  const last = keys[keys.length - 1]
+  let expr = String(last.value)
+  for (let i = keys.length - 2; i >= 0; i--){
+    const a = keys[i], b = keys[i + 1]
+    const span = Math.round((b.time - a.time) * 1e6) / 1e6
+    const delta = Math.round((b.value - a.value) * 1e6) / 1e6
+    const seg = a.easing === 'hold' || span <= 0 || delta === 0
+      ? String(a.value)
+      : `${a.value}+(${delta})*${EASING_EXPR[a.easing](`((${tv}-${a.time})/${span})`)}`
+    expr = `if(lt(${tv},${b.time}),${seg},${expr})`
+  }
+  return keys.length === 1 ? expr : `if(lt(${tv},${keys[0].time}),${keys[0].value},${expr})`
+}
+
+// sendcmd script that steps a filter option through a keyframed value, sampled at up to
+// 25 updates per second (for options that take runtime commands but not expressions).
+// Commands stop at the clip's end (duration), whatever times the keyframes carry.
+function keyframeCommands(keys, target, option, fps, duration, clamp = v => v){
+  const step = 1 / Math.min(fps, 25)
+  const end = Math.max(0, Math.min(keys[keys.length - 1].time, duration))
+  const cmds = []
+  let prev
+  for (let t = 0; ; t = Math.min(t + step, end)){
+    const value = Math.round(clamp(keyframeValue(keys, t)) * 1000) / 1000
+    if (value !== prev) cmds.push(`${t.toFixed(3)} ${target} ${option} ${value}`)
+    prev = value
+    if (t >= end) break
+  }
+  return `sendcmd=c='${cmds.join(';')}'`
+}
+
+// Chroma key defaults: similarity and blend as chromakey takes them (0-1), spill is the
+// strength of spill suppression (0 = off)
+export const CHROMA_KEY_DEFAULTS = { color: '#00ff00', similarity: 0.1, blend: 0.05, spill: 0.5 }
+
+// Key settings with defaults applied; null when the clip is not keyed
+export function resolveChromaKey(key){
+  if (!key || typeof key !== 'object') return null
+  const color = /^#[0-9a-f]{6}$/i.test(key.color) ? key.color : CHROMA_KEY_DEFAULTS.color
+  return {
+    color,
+    similarity: clampNumber(key.similarity, 0.01, 1, CHROMA_KEY_DEFAULTS.similarity),
+    blend: clampNumber(key.blend, 0, 1, CHROMA_KEY_DEFAULTS.blend),
+    spill: clampNumber(key.spill, 0, 1, CHROMA_KEY_DEFAULTS.spill)
+  }
+}
+
+// chromakey (alpha from distance to the key color) followed by despill, which pulls the key
+// color's channel down on edges and reflections. despill only knows green and blue screens.
+export function chromaKeyFilter(key){
+  const filters = [`chromakey=color=0x${key.color.slice(1)}:similarity=${key.similarity}:blend=${key.blend}`]
+  if (key.spill > 0) {
+    const g = parseInt(key.color.slice(3, 5), 16)
+    const b = parseInt(key.color.slice(5, 7), 16)
+    filters.push(`despill=type=${b > g ? 'blue' : 'green'}:mix=0.5:expand=${key.spill}`)
+  }
+  return filters.join(',')
+}
+
+// 3D LUTs are uploaded as .cube files and stored under their own media type
+export const LUT_MIMETYPE = 'application/x-cube'
+
+export function isCubeLutName(filename){
+  return path.extname(String(filename || '')).toLowerCase() === '.cube'
+}
+
+// A .cube file must declare its 3D size before the table; 1D LUTs are not supported
+export function validateCubeLut(filePath){
+  const text = fs.readFileSync(filePath, 'utf8')
+  const m = text.match(/^\s*LUT_3D_SIZE\s+(\d+)/m)
+  if (!m) return 'not a 3D .cube LUT (missing LUT_3D_SIZE)'
+  const size = parseInt(m[1])
+  if (size < 2 || size > 256) return `LUT_3D_SIZE ${size} is out of range (2-256)`
+  return null
+}
+
+// Per-clip color adjustments. exposure is in stops; contrast, saturation, temperature and
+// tint run from -1 to 1 with 0 meaning unchanged.
+export const COLOR_LIMITS = { exposure: [-3, 3], contrast: [-1, 1], saturation: [-1, 1], temperature: [-1, 1], tint: [-1, 1] }
+
+// Color filters for a clip, applied at source resolution before scaling so padding stays black.
+// Exposure comes before the LUT (as it would on camera), the grade adjustments after it.
+export function colorFilters(clip){
+  const c = clip.color
+  if (!c || typeof c !== 'object') return ''
+  const v = {}
+  for (const [key, [lo, hi]] of Object.entries(COLOR_LIMITS)) v[key] = clampNumber(c[key], lo, hi, 0)
+  const filters = []
+  if (v.exposure !== 0) filters.push(`exposure=exposure=${v.exposure}`)
+  if (clip.lutPath) filters.push(`lut3d=file=${escapeFilterValue(clip.lutPath)}:interp=tetrahedral`)
+  if (v.contrast !== 0 || v.saturation !== 0) filters.push(`eq=contrast=${1 + v.contrast}:saturation=${1 + v.saturation}`)
+  if (v.temperature !== 0 || v.tint !== 0) {
+    // Warm pushes midtone red up and blue down; positive tint moves from green towards magenta
+    const k = 0.3
+    filters.push(`colorbalance=rm=${(v.temperature * k).toFixed(3)}:gm=${(-v.tint * k).toFixed(3)}:bm=${(-v.temperature * k).toFixed(3)}`)
+  }
+  return filters.map(f => `,${f}`).join('')
+}
+
+// lut3d only reads local files, so LUTs referenced by URL (presigned S3 downloads) are
+// fetched into dir first. Returns the files list with local LUT paths.
+export async function localizeLuts(files, dir){
+  const out = []
+  for (const f of files){
+    if (f.mimetype !== LUT_MIMETYPE || !/^https?:\/\//.test(f.path || '')) { out.push(f); continue }
+    const res = await fetch(f.path)
+    if (!res.ok) throw new Error(`failed to download LUT ${f.name || f.id}: ${res.status}`)
+    fs.mkdirSync(dir, { recursive: true })
+    const local = path.join(dir, `${f.id}.cube`)
+    fs.writeFileSync(local, Buffer.from(await res.arrayBuffer()))
+    out.push({ ...f, path: local })
+  }
+  return out
+}
+
+// Per-clip transform; null when the clip should simply fill the frame per its fit mode.
+// x/y are the clip centre in canvas fractions, crop is a normalized source rectangle.
+// Keyframes on x, y, scale, rotation or opacity animate the matching property.
+export function clipTransform(clip){
+  const t = clip.transform || {}
+  const keyframes = {}
+  for (const prop of ['x', 'y', 'scale', 'rotation', 'opacity']){
+    const keys = clipKeyframes(clip, prop)
+    if (keys) keyframes[prop] = keys
+  }
+  if (typeof t !== 'object' || Object.keys(t).length + Object.keys(keyframes).length === 0) return null
+  const num = (v, fallback) => Number.isFinite(v) ? v : fallback
+  const crop = t.crop && {
+    x: Math.min(Math.max(num(t.crop.x, 0), 0), 0.95),
+    y: Math.min(Math.max(num(t.crop.y, 0), 0), 0.95),
+    w: Math.min(Math.max(num(t.crop.w, 1), 0.05), 1),
+    h: Math.min(Math.max(num(t.crop.h, 1), 0.05), 1)
+  }
+  return {
+    x: num(t.x, 0.5),
+    y: num(t.y, 0.5),
+    scale: Math.max(0.01, num(t.scale, 1)),
+    rotation: num(t.rotation, 0),
+    opacity: Math.min(Math.max(num(t.opacity, 1), 0), 1),
+    crop,
+    keyframes
+  }
+}
+
+// Filters that size a transformed clip as a free-floating layer (no padding), plus the
+// overlay position that centres it at transform x/y on the canvas. Layer filters run on
+// clip-local time; positionTime is the clip-local time expression for the overlay that
+// places the layer. id keeps sendcmd targets unique within the graph; duration is the
+// clip's length on the timeline.
+function transformedLayer(transform, baseFilter, { id, fps, duration, positionTime = 't' }){
+  const filters = []
+  const { crop, keyframes } = transform
+  if (crop) filters.push(`crop=iw*${Math.min(crop.w, 1 - crop.x)}:ih*${Math.min(crop.h, 1 - crop.y)}:iw*${crop.x}:ih*${crop.y}`)
+  filters.push(baseFilter)
+  if (!keyframes.scale && transform.scale !== 1) filters.push(`scale=trunc(iw*${transform.scale}/2)*2:trunc(ih*${transform.scale}/2)*2`)
+  filters.push('format=rgba')
+  if (keyframes.opacity) {
+    // colorchannelmixer has no expressions, so opacity is driven by commands
+    const target = `colorchannelmixer@op${id}`
+    filters.push(keyframeCommands(keyframes.opacity, target, 'aa', fps, duration, v => Math.min(Math.max(v, 0), 1)))
+    filters.push(`${target}=aa=${Math.min(Math.max(keyframes.opacity[0].value, 0), 1)}`)
+  } else if (transform.opacity < 1) {
+    filters.push(`colorchannelmixer=aa=${transform.opacity}`)
+  }
+  if (keyframes.rotation) {
+    // Size the output for any angle so the animated layer is never clipped
+    filters.push(`rotate=a='(${keyframeExpr(keyframes.rotation)})*PI/180':c=none:ow='hypot(iw,ih)':oh='hypot(iw,ih)'`)
+  } else if (transform.rotation) {
+    const rad = transform.rotation * Math.PI / 180
+    filters.push(`rotate=a=${rad}:c=none:ow='rotw(${rad})':oh='roth(${rad})'`)
+  }
+  if (keyframes.scale) {
+    // Animated size goes last so the filters above see a constant frame size
+    const s = `max(${keyframeExpr(keyframes.scale)},0.01)`
+    filters.push(`scale=w='trunc(iw*${s}/2)*2':h='trunc(ih*${s}/2)*2':eval=frame`)
+  }
+  const x = keyframes.x ? `(${keyframeExpr(keyframes.x, positionTime)})` : transform.x
+  const y = keyframes.y ? `(${keyframeExpr(keyframes.y, positionTime)})` : transform.y
+  return {
+    filter: filters.join(','),
+    x: `W*${x}-w/2`,
+    y: `H*${y}-h/2`
+  }
+}
+
+// Fit a clip inside the canvas without padding, so it can be positioned freely
+function layerFitFilter(fitMode, width, height){
+  if (fitMode === 'fit-out') {
+    return `scale=${width}:${height}:force_original_aspect_ratio=increase:force_divisible_by=2,crop=${width}:${height},setsar=1`
+  }
+  return `scale=${width}:${height}:force_original_aspect_ratio=decrease:force_divisible_by=2,setsar=1`
+}
+
+// Audio mixing limits: gain in dB (clip and track), pan from -1 (left) to 1 (right)
+export const AUDIO_LIMITS = { minGain: -60, maxGain: 24 }
+
+function clampNumber(v, lo, hi, fallback){
+  return Number.isFinite(v) ? Math.min(hi, Math.max(lo, v)) : fallback
+}
+
+// Per-clip audio shaping after trim: volume keyframes, gain (clip + track), fades and pan.
+// Everything runs on clip-local time, before the clip is delayed into place.
+export function audioClipFilters(clip, trackGain = 0){
+  const filters = []
+  // Volume keyframes are linear gain (1 = unchanged), evaluated on clip-local time
+  const volumeKeys = clipKeyframes(clip, 'volume')
+  if (volumeKeys) filters.push(`volume='max(${keyframeExpr(volumeKeys)},0)':eval=frame`)
+  const gain = clampNumber(clip.gain, AUDIO_LIMITS.minGain, AUDIO_LIMITS.maxGain, 0) + trackGain
+  if (gain !== 0) filters.push(`volume=${gain}dB`)
+  const len = clipDuration(clip)
+  const fadeIn = clampNumber(clip.fadeIn, 0, len, 0)
+  const fadeOut = clampNumber(clip.fadeOut, 0, len, 0)
+  if (fadeIn > 0) filters.push(`afade=t=in:st=0:d=${fadeIn}`)
+  if (fadeOut > 0) filters.push(`afade=t=out:st=${len - fadeOut}:d=${fadeOut}`)
+  const pan = clampNumber(clip.pan, -1, 1, 0)
+  if (pan !== 0) {
+    // Balance: attenuate the opposite side, keep the panned-to side at unity
+    filters.push('aformat=channel_layouts=stereo', `pan=stereo|c0=${Math.min(1, 1 - pan)}*c0|c1=${Math.min(1, 1 + pan)}*c1`)
+  }
+  return filters.map(f => `,${f}`).join('')
+}
+
+// Audio tracks that are heard: muted tracks are dropped, and if any track is soloed only
+// soloed tracks remain
+export function audibleTracks(tracks){
+  const audio = tracks.filter(t => t.type === 'audio' && !t.muted)
+  return audio.some(t => t.solo) ? audio.filter(t => t.solo) : audio
+}
+
+// Audio track roles for ducking, and the sidechain defaults for music tracks:
+// threshold in dB, attack/release in milliseconds
+export const AUDIO_ROLES = ['dialogue', 'music']
+export const DUCKING_DEFAULTS = { threshold: -30, ratio: 8, attack: 20, release: 400 }
+
+// Ducking settings for a music track, with defaults and sidechaincompress's limits applied
+export function trackDucking(track){
+  const d = track.ducking || {}
+  return {
+    threshold: clampNumber(d.threshold, -60, 0, DUCKING_DEFAULTS.threshold),
+    ratio: clampNumber(d.ratio, 1, 20, DUCKING_DEFAULTS.ratio),
+    attack: clampNumber(d.attack, 0.01, 2000, DUCKING_DEFAULTS.attack),
+    release: clampNumber(d.release, 0.01, 9000, DUCKING_DEFAULTS.release)
+  }
+}
+
+// Sidechain ducking: each music track is compressed by the combined dialogue, so the bed dips
+// whenever someone speaks. Takes the per-chain labels ({ label, track }) and returns the labels
+// to feed the final amix; tracks without a role pass straight through.
+function duckAudio(alabels, filterGraphParts){
+  const dialogue = alabels.filter(a => a.track.role === 'dialogue').map(a => a.label)
+  const musicTracks = [...new Set(alabels.filter(a => a.track.role === 'music').map(a => a.track))]
+  if (dialogue.length === 0 || musicTracks.length === 0) return alabels.map(a => a.label)
+  const others = alabels.filter(a => !AUDIO_ROLES.includes(a.track.role)).map(a => a.label)
+
+  // One dialogue mix is heard, the other copies key the compressors
+  const dialogueMix = dialogue.length > 1
+    ? `${dialogue.map(x => `[${x}]`).join('')}amix=inputs=${dialogue.length}:normalize=0,`
+    : `[${dialogue[0]}]`
+  const keys = musicTracks.map((_, i) => `duckkey${i}`)
+  filterGraphParts.push(`${dialogueMix}asplit=${keys.length + 1}[duckdlg]${keys.map(k => `[${k}]`).join('')}`)
+
+  const ducked = musicTracks.map((track, i) => {
+    const music = alabels.filter(a => a.track === track).map(a => a.label)
+    let musicIn = music[0]
+    if (music.length > 1) {
+      musicIn = `duckmus${i}`
+      filterGraphParts.push(`${music.map(x => `[${x}]`).join('')}amix=inputs=${music.length}:normalize=0[${musicIn}]`)
+    }
+    const { threshold, ratio, attack, release } = trackDucking(track)
+    // The key is padded with silence so the music keeps playing after the last line of dialogue
+    filterGraphParts.push(`[${keys[i]}]apad[duckpad${i}]`)
+    filterGraphParts.push(`[${musicIn}][duckpad${i}]sidechaincompress=threshold=${Math.pow(10, threshold / 20).toFixed(6)}:ratio=${ratio}:attack=${attack}:release=${release}[ducked${i}]`)
+    return `ducked${i}`
+  })
+  return ['duckdlg', ...ducked, ...others]
+}
+
+// Integrated loudness targets (LUFS) with a true-peak ceiling (dBTP) and loudness range (LU)
+export const LOUDNESS_TARGETS = {
+  'streaming': { integrated: -14, truePeak: -1, range: 11 },
+  'ebu-r128': { integrated: -23, truePeak: -1, range: 7 }
+}
+
+// Resolve a loudness option: a target name or { integrated, truePeak, range }. Returns null
+// when normalization is off; throws on unknown names or values loudnorm would reject.
+export function resolveLoudness(value){
+  if (value == null || value === false || value === 'off') return null
+  if (typeof value === 'string') {
+    if (!LOUDNESS_TARGETS[value]) throw new Error(`unknown loudness target: ${value} (expected ${Object.keys(LOUDNESS_TARGETS).join(', ')})`)
+    return { name: value, ...LOUDNESS_TARGETS[value] }
+  }
+  if (typeof value !== 'object') throw new Error('loudness must be a target name or { integrated, truePeak, range }')
+  const { integrated, truePeak = -1, range = 11 } = value
+  if (!Number.isFinite(integrated) || integrated < -70 || integrated > -5) throw new Error('integrated must be between -70 and -5 LUFS')
+  if (!Number.isFinite(truePeak) || truePeak < -9 || truePeak > 0) throw new Error('truePeak must be between -9 and 0 dBTP')
+  if (!Number.isFinite(range) || range < 1 || range > 50) throw new Error('range must be between 1 and 50 LU')
+  return { name: 'custom', integrated, truePeak, range }
+}
+
+// loudnorm for the final mix. Without measurements this is the analysis pass; with the first
+// pass's measurements it applies a linear gain to hit the target exactly. loudnorm works at
+// 192 kHz internally, so the result is resampled back to 48 kHz.
+function loudnormFilter(target, measured){
+  const opts = [`I=${target.integrated}`, `TP=${target.truePeak}`, `LRA=${target.range}`]
+  if (measured) {
+    opts.push(
+      `measured_I=${measured.input.integrated}`,
+      `measured_TP=${measured.input.truePeak}`,
+      `measured_LRA=${measured.input.range}`,
+      `measured_thresh=${measured.input.threshold}`,
+      `offset=${measured.targetOffset}`,
+      'linear=true'
+    )
+  }
+  opts.push('print_format=json')
+  return `loudnorm=${opts.join(':')},aresample=48000`
+}
+
+// Stats from the JSON block loudnorm prints to stderr when it finishes
+export function parseLoudnorm(stderr){
+  const blocks = String(stderr).match(/\{[^{}]*"input_i"[^{}]*\}/g)
+  if (!blocks) throw new Error('loudnorm did not report loudness stats')
+  const stats = JSON.parse(blocks[blocks.length - 1])
+  const side = prefix => ({
+    integrated: Number(stats[`${prefix}_i`]),
+    truePeak: Number(stats[`${prefix}_tp`]),
+    range: Number(stats[`${prefix}_lra`]),
+    threshold: Number(stats[`${prefix}_thresh`])
+  })
+  return {
+    input: side('input'),
+    output: side('output'),
+    normalizationType: stats.normalization_type,
+    targetOffset: Number(stats.target_offset)
+  }
+}
+
+// Bitrate-targeted encodes: a video bitrate (kbps) or a file-size budget (MB) per rendition
+export const RATE_CONTROL_LIMITS = { minBitrate: 100, maxBitrate: 100000, minFileSize: 1, maxFileSize: 10000 }
+// Headroom left in a file-size budget for container overhead and rate-control overshoot
+const FILE_SIZE_MARGIN = 0.96
+
+// Resolve { targetBitrate, maxFileSize } render options. Returns null for plain CRF encodes;
+// throws when both are set or a value is out of range.
+export function resolveRateControl({ targetBitrate, maxFileSize } = {}){
+  const { minBitrate, maxBitrate, minFileSize, maxFileSize: maxSize } = RATE_CONTROL_LIMITS
+  if (targetBitrate == null && maxFileSize == null) return null
+  if (targetBitrate != null && maxFileSize != null) throw new Error('set either targetBitrate or maxFileSize, not both')
+  if (targetBitrate != null) {
+    if (!Number.isFinite(targetBitrate) || targetBitrate < minBitrate || targetBitrate > maxBitrate) throw new Error(`targetBitrate must be between ${minBitrate} and ${maxBitrate} kbps`)
+    return { targetBitrate: Math.round(targetBitrate) }
+  }
+  if (!Number.isFinite(maxFileSize) || maxFileSize < minFileSize || maxFileSize > maxSize) throw new Error(`maxFileSize must be between ${minFileSize} and ${maxSize} MB`)
+  return { maxFileSize }
+}
+
+// Video bitrate (kbps) for a rendition: the target as given, or what is left of the
+// file-size budget over the render's duration once the audio track is paid for
+function rateControlBitrate(rateControl, duration, audioKbps){
+  if (rateControl.targetBitrate) return rateControl.targetBitrate
+  const budgetKbps = rateControl.maxFileSize * 1024 * 1024 * 8 / 1000 * FILE_SIZE_MARGIN / duration
+  const kbps = Math.floor(budgetKbps - audioKbps)
+  if (kbps < RATE_CONTROL_LIMITS.minBitrate) {
+    throw new Error(`maxFileSize of ${rateControl.maxFileSize} MB is too small for a ${duration}s render`)
+  }
+  return Math.min(kbps, RATE_CONTROL_LIMITS.maxBitrate)
 }
 
 // Build an ffmpeg command that composes tracks by z-order (higher video tracks overlay on top).
+// With options.rateControl (see resolveRateControl) the video is a two-pass libx264 encode:
+// options.pass picks the pass and options.passLogFile prefixes each rendition's stats file.
+// The first pass writes nowhere. Anything skipped is logged and, when options.warnings is an
+// array, collected there.
 export async function buildFfmpegCommand(project, files, options){
-  // Force 16:9 aspect ratio for consistent output
-  const width = 1920
-  const height = 1080
-  const { fps=30, tracks=[], fitMode='fit-in' } = project
+  const { width=1920, height=1080, fps=30, tracks=[], fitMode='fit-in' } = project
+  const canvasError = validateCanvas({ width, height, fps })
+  if (canvasError) throw new Error(`Invalid project canvas: ${canvasError}`)
   const { preset='crispstream', renditions=['1080p'] } = options || {}
+  const format = resolveOutputFormat(options?.format)
+  const { rateControl, pass } = options || {}
+  const warn = message => {
+    console.log(`Warning: ${message}`)
+    options?.warnings?.push(message)
+  }
+  if (rateControl && format.video !== 'h264') throw new Error('targetBitrate and maxFileSize need the mp4 format')
+  if (options?.preview && format.name !== 'mp4') throw new Error('previews stream as mp4')
+  // Ranges and stills are cut from the fully composed timeline, so they match a full render
+  const range = resolveRenderRange(options, format.name)
 
-  const videoClips = []
-  const audioClips = []
+  // Video chains and text clips share one z-ordered layer list
+  const layers = []
+  const audible = audibleTracks(tracks)
+  const audioTracks = []
   
   // Sort tracks by their order in the array (higher index = higher z-order/on top)
   const sortedTracks = [...tracks].sort((a, b) => {
@@ -105,134 +927,337 @@ export async function buildFfmpegCommand(project, files, options){
     return aIndex - bIndex // Lower tracks first, higher tracks later (will overlay on top)
   })
   
+  const { loudness, measureOnly } = options || {}
+  // Previews encode the (already scaled down) canvas as it is
+  const ladder = measureOnly ? []
+    : options?.preview ? [{ ...PREVIEW_RENDITION, width, height }]
+    : resolveRenditions(renditions, width, height, format.name)
+  // The loudness analysis pass and audio-only outputs only need the audio mix
+  const mixOnly = measureOnly || ladder.every(r => r.audioOnly)
+
+  // Soft subtitle tracks become mov_text streams; burned-in ones are layers like text
+  const softSubtitles = []
+
   for (const t of sortedTracks){
+    if (mixOnly && t.type !== 'audio') continue
+    // Animated images are silent
+    if (!format.audio && t.type === 'audio') continue
+    if (t.type==='subtitle') {
+      if (t.burnIn) layers.push({ subtitle: t })
+      else softSubtitles.push(t)
+      continue
+    }
+    if (t.type==='text') {
+      layers.push(...t.clips.map(clip => ({ text: clip })))
+      continue
+    }
+    const clips = []
     for (const c of t.clips){
       const f = files.find(x=> x.id===c.fileId)
-      if (!f) continue
-      const clip = { ...c, path: f.path, mimetype: f.mimetype, name:f.name, trackIndex: tracks.indexOf(t) }
-      if (t.type==='video') videoClips.push(clip)
-      else if (t.type==='audio') audioClips.push(clip)
+      if (!f) { warn(`clip ${c.name || c.id} on track ${t.name || t.id}: file ${c.fileId} not found, skipping clip`); continue }
+      const lut = c.color?.lutFileId && files.find(x => x.id === c.color.lutFileId && x.mimetype === LUT_MIMETYPE)
+      if (c.color?.lutFileId && !lut) warn(`clip ${c.name || c.id}: LUT ${c.color.lutFileId} not found, rendering without it`)
+      clips.push({ ...c, path: f.path, mimetype: f.mimetype, name:f.name, media: f.media, trackIndex: tracks.indexOf(t), lutPath: lut?.path })
+    }
+    if (t.type==='video') layers.push(...buildClipChains(clips, t.transitions).map(chain => ({ chain })))
+    else if (audible.includes(t)) {
+      const gain = clampNumber(t.gain, AUDIO_LIMITS.minGain, AUDIO_LIMITS.maxGain, 0)
+      audioTracks.push({ clips: clips.map(c => ({ ...c, trackGain: gain })), transitions: t.transitions || [], track: t })
+    }
+  }
+
+  // Check if input files have audio streams before building audio chains. Ingested files
+  // carry their stream details; older records are probed.
+  const audioChains = []
+  for (const t of audioTracks){
+    const withAudio = []
+    for (const clip of t.clips){
+      const media = clip.media || describeMedia(await probeMedia(clip.path))
+      if (media.audio) withAudio.push(clip)
+      else warn(`clip ${clip.name || clip.id} (${clip.path}) has no audio stream, skipping its audio`)
     }
+    audioChains.push(...buildClipChains(withAudio, t.transitions).map(chain => ({ ...chain, track: t.track })))
   }
 
   let duration = 10
-  for (const c of [...videoClips, ...audioClips]){
-    duration = Math.max(duration, c.start + (c.out - c.in))
+  for (const chain of [...layers.filter(l => l.chain).map(l => l.chain), ...audioChains]){
+    duration = Math.max(duration, chain.start + chain.duration)
+  }
+  for (const l of layers.filter(l => l.text)){
+    duration = Math.max(duration, l.text.start + clipDuration(l.text))
+  }
+  for (const t of tracks.filter(t => t.type === 'subtitle')){
+    for (const cue of timelineCues(t)) duration = Math.max(duration, cue.end)
   }
   duration = Math.ceil(duration + 1)
+  if (range) {
+    if (range.start >= duration) throw new Error(`${range.still ? 'stillTime' : 'rangeStart'} (${range.start}s) is past the end of the timeline (${duration}s)`)
+    // Nothing after the range (or the still frame) needs composing
+    duration = Math.min(duration, range.still ? range.start + 1 : range.end ?? duration)
+  }
+  // Length of what ends up in the output files
+  const outputDuration = duration - (range?.start || 0)
 
   // Input 0: color background
-  const inputArgs = ['-f','lavfi','-t', String(duration), '-r', String(fps), '-i', `color=c=black:s=${width}x${height}`]
+  const inputArgs = ['-f','lavfi','-t', String(duration), '-r', String(fps), '-i', `color=c=black:s=${width}x${height}:r=${fps}`]
   const filterGraphParts = []
-  let vi = 1
-  // We'll set the starting audio input index after pushing all video inputs
-  let ai
-  const vlabels = []
+  let inputIndex = 1
   const alabels = []
 
-  for (const clip of videoClips){
-    inputArgs.push('-i', clip.path)
-    const vlabel = `v${vi}`
-    
-    // Choose scaling based on project fitMode
-    let scaleFilter
-    if (fitMode === 'fit-out') {
-      // Fit-out: scale to fill entire frame, cropping if necessary (no black bars)
-      scaleFilter = `scale='max(${width},iw*${height}/ih)':'max(${height},ih*${width}/iw)':eval=frame,crop=${width}:${height}`
-    } else {
-      // Fit-in: scale to fit within frame, adding black bars if necessary (letterbox/pillarbox)
-      scaleFilter = `scale='min(${width},iw*${height}/ih)':'min(${height},ih*${width}/iw)':eval=frame,pad=${width}:${height}:(${width}-iw)/2:(${height}-ih)/2:black`
-    }
-    
-    filterGraphParts.push(`[${vi}:v]trim=start=${clip.in}:end=${clip.out},setpts=PTS-STARTPTS,${scaleFilter},format=yuva420p,setpts=PTS+${clip.start}/TB[${vlabel}]`)
-    vlabels.push(vlabel)
-    vi += 1
-  }
+  for (const layer of layers){
+    const { chain } = layer
+    if (!chain) continue
+    const single = chain.clips.length === 1
+    const parts = chain.clips.map(clip => {
+      inputArgs.push(...clipInputArgs(clip, fps))
+      const vlabel = `v${inputIndex}`
+      const clipFit = clip.fitMode || fitMode
+      const transform = clipTransform(clip)
+      const kenBurns = isImageClip(clip) && clip.motion
+      // xfade needs both sides on the same frame rate and timebase
+      const tail = single ? `,setpts=PTS+${chain.start}/TB` : `,fps=${fps},settb=AVTB`
+      const chromaKey = resolveChromaKey(clip.chromaKey)
+      // Keying happens on the camera colors, before any grading
+      const trim = `${videoSourceFilter(clip, inputIndex, fps)}${chromaKey ? `,${chromaKeyFilter(chromaKey)}` : ''}${colorFilters(clip)}`
 
-  // Audio inputs follow video inputs, so start audio index at the next available input index
-  ai = vi
+      if (!transform) {
+        const scaleFilter = kenBurns
+          ? kenBurnsFilter(clip.motion, clipDuration(clip), width, height, fps)
+          : fitFilter(clipFit, width, height, chromaKey ? 'black@0' : 'black')
+        filterGraphParts.push(`${trim},${scaleFilter},format=yuva420p${tail}[${vlabel}]`)
+      } else {
+        const baseFilter = kenBurns
+          ? kenBurnsFilter(clip.motion, clipDuration(clip), width, height, fps)
+          : layerFitFilter(clipFit, width, height)
+        const l = transformedLayer(transform, baseFilter, {
+          id: inputIndex,
+          fps,
+          duration: clipDuration(clip),
+          positionTime: single ? `(t-${chain.start})` : 't'
+        })
+        if (single) {
+          filterGraphParts.push(`${trim},${l.filter}${tail}[${vlabel}]`)
+          layer.x = l.x
+          layer.y = l.y
+        } else {
+          // Transitions need full-canvas frames, so place the layer on a transparent canvas first
+          filterGraphParts.push(`${trim},${l.filter}[${vlabel}l]`)
+          filterGraphParts.push(`color=c=black@0:s=${width}x${height}:r=${fps}:d=${clipDuration(clip)},format=rgba[${vlabel}t]`)
+          filterGraphParts.push(`[${vlabel}t][${vlabel}l]overlay=x='${l.x}':y='${l.y}':format=auto:shortest=1,format=yuva420p${tail}[${vlabel}]`)
+        }
+      }
+      inputIndex += 1
+      return vlabel
+    })
+
+    if (single) { layer.label = parts[0]; continue }
+
+    let cur = parts[0]
+    let offset = clipDuration(chain.clips[0])
+    chain.transitions.forEach((tr, i) => {
+      offset -= tr.duration
+      const out = `${parts[0]}x${i + 1}`
+      filterGraphParts.push(`[${cur}][${parts[i + 1]}]xfade=transition=${xfadeName(tr)}:duration=${tr.duration}:offset=${offset}[${out}]`)
+      cur = out
+      offset += clipDuration(chain.clips[i + 1])
+    })
+    filterGraphParts.push(`[${cur}]setpts=PTS+${chain.start}/TB[${parts[0]}c]`)
+    layer.label = `${parts[0]}c`
+  }
 
   let last = '0:v'
   let count = 1
-  for (const vlabel of vlabels){
+  for (const layer of layers){
     const out = `base${count}`
+    if (layer.subtitle) {
+      // Burned-in subtitles render the track's sidecar .srt with libass
+      const file = options?.subtitleFiles?.[layer.subtitle.id]
+      if (!file) { warn(`no subtitle file for track ${layer.subtitle.name || layer.subtitle.id}, skipping burn-in`); continue }
+      filterGraphParts.push(`[${last}]subtitles=filename=${escapeFilterValue(file)}:force_style=${escapeFilterValue(subtitleForceStyle(layer.subtitle.style, height))}[${out}]`)
+      last = out
+      count += 1
+      continue
+    }
+    if (layer.text) {
+      // Text burns into everything composed below it; higher layers cover it
+      filterGraphParts.push(`[${last}]${drawtextFilter(layer.text, height)}[${out}]`)
+      last = out
+      count += 1
+      continue
+    }
+    const { chain } = layer
     // Use overlay with 'enable' to only show during clip duration, preventing frame extension
-    // The enable expression ensures overlay only happens during the clip's active time
-    filterGraphParts.push(`[${last}][${vlabel}]overlay=format=auto:enable='between(t,${videoClips[count-1].start},${videoClips[count-1].start + (videoClips[count-1].out - videoClips[count-1].in)})'[${out}]`)
+    // The enable expression ensures overlay only happens during the chain's active time
+    const position = layer.x ? `:x='${layer.x}':y='${layer.y}'` : ''
+    filterGraphParts.push(`[${last}][${layer.label}]overlay=format=auto${position}:enable='between(t,${chain.start},${chain.start + chain.duration})'[${out}]`)
     last = out
     count += 1
   }
-  const vOutLabel = last
+  let vOutLabel = last
+  if (range && !mixOnly) {
+    filterGraphParts.push(`[${last}]trim=start=${range.start},setpts=PTS-STARTPTS[vrange]`)
+    vOutLabel = 'vrange'
+  }
 
-  // Check if input files have audio streams before processing
-  for (const clip of audioClips){
-    inputArgs.push('-i', clip.path)
-    // Check if this input actually has audio by probing
-    const probe = await probeMedia(clip.path)
-    const hasAudio = probe?.streams?.some(s => s.codec_type === 'audio')
-    
-    if (hasAudio) {
-      const alabel = `a${ai}`
-      const delayMs = Math.max(0, Math.floor(clip.start*1000))
+  // Audio inputs follow video inputs; transitions become acrossfades
+  let silentCount = 0
+  for (const chain of audioChains){
+    const single = chain.clips.length === 1
+    const delayMs = Math.max(0, Math.floor(chain.start*1000))
+    const parts = chain.clips.map(clip => {
       // Apply delay to all channels; use all=1 to replicate delay across channels
-      filterGraphParts.push(`[${ai}:a]atrim=start=${clip.in}:end=${clip.out},asetpts=PTS-STARTPTS,adelay=${delayMs}:all=1[${alabel}]`)
-      alabels.push(alabel)
-    } else {
-      console.log(`Warning: Input ${ai} (${clip.path}) has no audio stream, skipping audio processing`)
-    }
-    ai += 1
+      const tail = single ? `,adelay=${delayMs}:all=1` : ',aformat=sample_rates=48000:channel_layouts=stereo'
+      const filters = `${audioSourceFilter(clip, inputIndex)}${audioClipFilters(clip, clip.trackGain)}${tail}`
+      if (clip.freeze) {
+        // Silence is generated, so there is no input to consume
+        const alabel = `silence${silentCount++}`
+        filterGraphParts.push(`${filters}[${alabel}]`)
+        return alabel
+      }
+      inputArgs.push('-i', clip.path)
+      const alabel = `a${inputIndex}`
+      filterGraphParts.push(`${filters}[${alabel}]`)
+      inputIndex += 1
+      return alabel
+    })
+
+    if (single) { alabels.push({ label: parts[0], track: chain.track }); continue }
+
+    let cur = parts[0]
+    chain.transitions.forEach((tr, i) => {
+      const out = `${parts[0]}x${i + 1}`
+      filterGraphParts.push(`[${cur}][${parts[i + 1]}]acrossfade=d=${tr.duration}:c1=tri:c2=tri[${out}]`)
+      cur = out
+    })
+    filterGraphParts.push(`[${cur}]adelay=${delayMs}:all=1[${parts[0]}c]`)
+    alabels.push({ label: `${parts[0]}c`, track: chain.track })
   }
 
   if (alabels.length>0){
-    filterGraphParts.push(`${alabels.map(x=>`[${x}]`).join('')}amix=inputs=${alabels.length}:normalize=0[aout]`)
+    // The range is cut before loudnorm so only the exported audio is measured
+    const cut = range ? `,atrim=start=${range.start}:end=${duration},asetpts=PTS-STARTPTS` : ''
+    const normalize = loudness ? `,${loudnormFilter(loudness, measureOnly ? null : loudness.measured)}` : ''
+    const mix = duckAudio(alabels, filterGraphParts)
+    filterGraphParts.push(`${mix.map(x=>`[${x}]`).join('')}amix=inputs=${mix.length}:normalize=0${cut}${normalize}[aout]`)
+  }
+
+  if (measureOnly) {
+    // Nothing to measure without audio
+    if (alabels.length === 0) return null
+    return [...inputArgs, '-filter_complex', filterGraphParts.join(';'), '-map', '[aout]', '-f', 'null', '-']
   }
 
-  // Choose encoder speed/quality
-  let presetName = 'medium'
-  let crf = 20
+  const hasAudio = alabels.length > 0
+  const { outputPaths, keyframeInterval } = options || {}
+  if (ladder.length > 1 && !outputPaths) throw new Error('outputPaths are required when rendering more than one rendition')
+  if (!hasAudio && ladder.some(r => r.audioOnly)) throw new Error('audio rendition requested but the project has no audio')
 
-  // If user has selected a different preset, use the corresponding crf
-  if (preset === 'fast') { presetName = 'veryfast'; crf = 23 }
-  else if (preset === 'quality') { presetName = 'veryslow'; crf = 18 }
+  // Input streams (empty project background) are mapped bare, filter outputs in brackets
+  const mapArg = label => label.includes(':') ? label : `[${label}]`
 
-  const vcodec = ['-c:v','libx264','-preset', presetName, '-crf', String(crf), '-pix_fmt','yuv420p']
-  const acodec = ['-c:a','aac','-b:a','192k']
+  // Fan the composed picture out to every video rendition from a single decode
+  const videoOuts = ladder.filter(r => !r.audioOnly)
+  const vmap = {}
+  let vbranches = [vOutLabel]
+  if (videoOuts.length > 1) {
+    vbranches = videoOuts.map(r => `vs${r.name}`)
+    filterGraphParts.push(`[${vOutLabel}]split=${videoOuts.length}${vbranches.map(b => `[${b}]`).join('')}`)
+  }
+  videoOuts.forEach((r, i) => {
+    if (r.width === width && r.height === height) { vmap[r.name] = vbranches[i]; return }
+    filterGraphParts.push(`[${vbranches[i]}]scale=${r.width}:${r.height}:flags=lanczos[v${r.name}]`)
+    vmap[r.name] = `v${r.name}`
+  })
+
+  // Animated images drop to a lower frame rate; GIFs get a palette built from the whole clip
+  const outFps = format.maxFps ? Math.min(fps, format.maxFps) : fps
+  if (format.maxFps) {
+    for (const r of videoOuts) {
+      const g = `g${r.name}`
+      if (format.video === 'gif') {
+        filterGraphParts.push(`[${vmap[r.name]}]fps=${outFps},split[${g}a][${g}b]`)
+        filterGraphParts.push(`[${g}a]palettegen=stats_mode=diff[${g}p]`)
+        filterGraphParts.push(`[${g}b][${g}p]paletteuse=dither=bayer:bayer_scale=5[${g}]`)
+      } else {
+        filterGraphParts.push(`[${vmap[r.name]}]fps=${outFps}[${g}]`)
+      }
+      vmap[r.name] = g
+    }
+  }
+
+  // Same for the audio mix; every output (video or audio-only) gets its own copy
+  const amap = {}
+  if (hasAudio && ladder.length > 1) {
+    const abranches = ladder.map(r => `as${r.name}`)
+    filterGraphParts.push(`[aout]asplit=${ladder.length}${abranches.map(b => `[${b}]`).join('')}`)
+    ladder.forEach((r, i) => { amap[r.name] = abranches[i] })
+  } else if (hasAudio) {
+    amap[ladder[0].name] = 'aout'
+  }
+
+  // Encoder speed/quality follows the preset
+  const tier = presetTier(preset)
+  const videoCodecArgs = r => {
+    // Short GOPs keep the streamed fragments small
+    if (options?.preview) return ['-c:v','libx264','-preset','veryfast','-crf','28','-pix_fmt','yuv420p','-g', String(outFps * 2),'-keyint_min', String(outFps * 2)]
+    if (!rateControl) return VIDEO_ENCODERS[format.video](tier, r)
+    const kbps = rateControlBitrate(rateControl, outputDuration, hasAudio ? parseInt(r.audioBitrate) : 0)
+    return [
+      '-c:v','libx264','-preset', ['veryfast','medium','veryslow'][tier], '-b:v', `${kbps}k`, '-pix_fmt','yuv420p',
+      '-pass', String(pass || 2), '-passlogfile', `${options.passLogFile}-${r.name}`
+    ]
+  }
+
+  // Soft subtitles come in as their sidecar .srt files, after all media inputs
+  const subtitleInputs = []
+  for (const t of format.subtitleCodec ? softSubtitles : []){
+    const file = options?.subtitleFiles?.[t.id]
+    if (!file) continue
+    inputArgs.push('-i', file)
+    subtitleInputs.push({ index: inputIndex, language: subtitleLanguage(t) })
+    inputIndex += 1
+  }
 
   const args = []
   args.push(...inputArgs)
-  
-  // Handle empty projects (no clips) vs projects with clips
-  if (filterGraphParts.length === 0) {
-    // Empty project - just render the black background
-    args.push('-map', '0:v')
-    args.push('-an') // No audio for empty projects
-  } else {
-    // Project has clips - use filter complex
-    const filtergraph = filterGraphParts.join(';')
-    args.push('-filter_complex', filtergraph)
-    args.push('-map', `[${vOutLabel}]`)
-    if (alabels.length>0) {
-      args.push('-map', '[aout]')
-      args.push(...acodec)
+  if (filterGraphParts.length > 0) args.push('-filter_complex', filterGraphParts.join(';'))
+
+  for (const r of ladder){
+    if (r.audioOnly) {
+      args.push('-map', mapArg(amap[r.name]), '-vn', ...audioCodecArgs(format.audio.codec, r.audioBitrate))
     } else {
-      // No audio inputs; explicitly disable audio to avoid codec option errors
-      args.push('-an')
+      args.push('-map', mapArg(vmap[r.name]))
+      if (hasAudio) args.push('-map', mapArg(amap[r.name]), ...audioCodecArgs(format.audio.codec, r.audioBitrate))
+      else args.push('-an') // No audio inputs; explicitly disable audio to avoid codec option errors
+      if (format.subtitleCodec && pass !== 1) {
+        subtitleInputs.forEach((sub, i) => args.push('-map', `${sub.index}:s`, `-metadata:s:s:${i}`, `language=${sub.language}`))
+        if (subtitleInputs.length > 0) args.push('-c:s', format.subtitleCodec)
+      }
+      args.push(...videoCodecArgs(r), '-r', String(outFps))
+      if (format.still) args.push('-frames:v', '1', '-update', '1')
+      // Aligned keyframes let players switch renditions on segment boundaries
+      if (keyframeInterval) args.push('-force_key_frames', `expr:gte(t,n_forced*${keyframeInterval})`)
     }
+    if (pass === 1) { args.push('-f', 'null', '-'); continue }
+    // MP4 over stdout requires fragmented MP4, not faststart (which seeks)
+    if (options?.preview) { args.push('-movflags','empty_moov+frag_keyframe+default_base_moof','-f','mp4','-'); continue }
+    if (['mp4', 'm4a', 'mov'].includes(r.ext)) args.push('-movflags','+faststart')
+    if (outputPaths) args.push(outputPaths[r.name])
   }
-  
-  args.push(...vcodec, '-movflags','+faststart')
   return args
 }
 
+// outPath may be null when the args already name their outputs (rendition ladders)
 export async function execFfmpeg(args, outPath){
-  const finalArgs = ['-hide_banner', ...args, '-y', outPath]
+  const finalArgs = ['-hide_banner', '-y', ...args, ...(outPath ? [outPath] : [])]
   return execCmd('ffmpeg', finalArgs)
 }
 
-// Execute ffmpeg with progress parsing and store to cache under jobId
-export function execFfmpegWithProgress(args, outPath, jobId) {
+// Execute ffmpeg with progress parsing and store to cache under jobId. For multi-pass encodes,
+// `pass` ({ pass, passes }) is reported with the progress and only the last pass marks the job done.
+export function execFfmpegWithProgress(args, outPath, jobId, pass = null) {
   return new Promise((resolve, reject) => {
-    const finalArgs = ['-hide_banner', ...args, '-y', outPath]
+    const finalArgs = ['-hide_banner', '-y', ...args, ...(outPath ? [outPath] : [])]
     console.log('FFmpeg command:', 'ffmpeg', finalArgs.join(' '))
     
     const child = spawn('ffmpeg', finalArgs, { stdio: ['ignore', 'pipe', 'pipe'] })
@@ -243,7 +1268,7 @@ export function execFfmpegWithProgress(args, outPath, jobId) {
       // Basic parse: look for frame / time / speed
       const m = s.match(/time=([\d:.]+)/)
       if (m && jobId) {
-        await cacheSet(`job:${jobId}`, { status: 'running', time: m[1], updatedAt: Date.now() }, 300)
+        await cacheSet(`job:${jobId}`, { status: 'running', time: m[1], ...pass, updatedAt: Date.now() }, 300)
       }
     })
     child.on('error', (error) => {
@@ -251,7 +1276,8 @@ export function execFfmpegWithProgress(args, outPath, jobId) {
       reject(error)
     })
     child.on('close', async (code) => {
-      if (jobId) await cacheSet(`job:${jobId}`, { status: code === 0 ? 'done' : 'error', code, updatedAt: Date.now() }, 600)
+      const finished = code !== 0 || !pass || pass.pass === pass.passes
+      if (jobId && finished) await cacheSet(`job:${jobId}`, { status: code === 0 ? 'done' : 'error', code, updatedAt: Date.now() }, 600)
       if (code === 0) {
         console.log('FFmpeg completed successfully')
         resolve({ code, stderr })
@@ -264,52 +1290,208 @@ export function execFfmpegWithProgress(args, outPath, jobId) {
   })
 }
 
+// Two-pass loudness normalization: measure the mix against the target. Returns the target
+// with its measurements, or null when the project has no audio.
+export async function measureLoudness(project, files, options, target){
+  const args = await buildFfmpegCommand(project, files, { ...options, loudness: target, measureOnly: true })
+  if (!args) return null
+  const { stderr } = await execFfmpeg(args, null)
+  return { ...target, measured: parseLoudnorm(stderr) }
+}
+
+// Split a filtergraph into one chain per line, leaving escaped separators alone
+function filtergraphLines(graph){
+  return graph.split(/(?<!\\);/)
+}
+
+// Quote an argument for a copy-pasteable shell command
+function shellQuote(arg){
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`
+}
+
+// Output options as { flag: value }; repeated flags (-map) collect into arrays
+function outputOptions(args){
+  const VALUELESS = ['-an', '-vn', '-sn']
+  const opts = {}
+  for (let i = 0; i < args.length; i++){
+    const flag = args[i]
+    const value = VALUELESS.includes(flag) ? true : args[++i]
+    if (opts[flag] === undefined) opts[flag] = value
+    else opts[flag] = [].concat(opts[flag], value)
+  }
+  return opts
+}
+
+// Dry run: build the render command without running it. Returns the inputs, the filtergraph
+// one chain per line, each output's resolved settings, the timeline duration and the
+// builder's warnings. Nothing is written or downloaded, so subtitle sidecars get placeholder
+// paths and loudness normalization shows its analysis filter (the render measures first).
+export async function planRender(project, files, options){
+  const { renditions = ['1080p'], format = 'mp4' } = options || {}
+  const outputs = renditionOutputs(renditions, project.width || 1920, project.height || 1080, '', format)
+  const rateControl = resolveRateControl(options)
+  const loudness = resolveOutputFormat(format).audio ? resolveLoudness(options?.loudness) : null
+  const range = resolveRenderRange(options, format)
+  const subtitleFiles = Object.fromEntries((project.tracks || [])
+    .filter(t => t.type === 'subtitle' && timelineCues(t).length > 0)
+    .map(t => [t.id, `subtitles-${t.id}.srt`]))
+  const warnings = []
+  const args = await buildFfmpegCommand(project, files, {
+    ...options,
+    loudness,
+    outputPaths: Object.fromEntries(outputs.map(o => [o.rendition, o.filename])),
+    subtitleFiles,
+    warnings,
+    ...(rateControl ? { rateControl, pass: 2, passLogFile: 'passlog' } : {})
+  })
+
+  // Inputs run up to the last -i, then the filtergraph, then one block per output file
+  const lastInput = args.lastIndexOf('-i') + 2
+  const inputs = []
+  let pending = []
+  for (let i = 0; i < lastInput; i++){
+    if (args[i] === '-i') {
+      inputs.push({ index: inputs.length, source: args[++i], options: pending })
+      pending = []
+    } else pending.push(args[i])
+  }
+  let rest = args.slice(lastInput)
+  let filtergraph = []
+  if (rest[0] === '-filter_complex') {
+    filtergraph = filtergraphLines(rest[1])
+    rest = rest.slice(2)
+  }
+  const planned = outputs.map(o => {
+    const end = rest.indexOf(o.filename)
+    const opts = outputOptions(rest.slice(0, end))
+    rest = rest.slice(end + 1)
+    return { rendition: o.rendition, filename: o.filename, contentType: o.contentType, width: o.width, height: o.height, options: opts }
+  })
+
+  // The background runs to the end of what is composed; a range starts part way in
+  const durationAt = inputs[0]?.options.indexOf('-t')
+  return {
+    duration: durationAt >= 0 ? Number(inputs[0].options[durationAt + 1]) - (range?.start || 0) : null,
+    inputs,
+    filtergraph,
+    outputs: planned,
+    settings: { format, renditions: outputs.map(o => o.rendition), range, loudness, rateControl, ffmpegRuns: (loudness ? 1 : 0) + (rateControl ? 2 : 1) },
+    warnings,
+    command: ['ffmpeg', '-hide_banner', '-y', ...args].map(shellQuote).join(' ')
+  }
+}
+
+// Render every requested rendition with one ffmpeg run into outputDir. options.loudness
+// (see resolveLoudness) adds a measurement pass and normalizes the mix; the measured
+// input and output stats come back as `loudness`. Subtitle tracks are written next to the
+// renditions as .srt/.vtt sidecars (`subtitles`). options.targetBitrate / maxFileSize switch
+// the video to a two-pass encode; the achieved size and bitrate come back as `rateControl`.
+// options.rangeStart/rangeEnd (or stillTime for png/jpeg) render part of the timeline.
+export async function renderRenditions(project, files, options, outputDir, jobId){
+  const { renditions = ['1080p'], format = 'mp4' } = options || {}
+  const outputs = renditionOutputs(renditions, project.width || 1920, project.height || 1080, outputDir, format)
+  const rateControl = resolveRateControl(options)
+  const range = resolveRenderRange(options, format)
+  fs.mkdirSync(outputDir, { recursive: true })
+
+  // Silent formats have no mix to normalize
+  const target = resolveOutputFormat(format).audio ? resolveLoudness(options?.loudness) : null
+  // Sidecars are deliverables in their own right and also feed soft tracks, so they follow
+  // the range. Stills have no use for them.
+  const tracks = project.tracks || []
+  const subtitles = range?.still ? [] : writeSubtitleSidecars(tracks, outputDir, range)
+  const lutDir = path.join(os.tmpdir(), `luts-${jobId || Date.now()}`)
+  // Scratch space for two-pass stats and burn-in subtitles
+  const workDir = path.join(os.tmpdir(), `render-${jobId || Date.now()}`)
+  let result, measured
+  try {
+    files = await localizeLuts(files, lutDir)
+    measured = target ? await measureLoudness(project, files, options, target) : null
+
+    const outputPaths = Object.fromEntries(outputs.map(o => [o.rendition, o.path]))
+    // Burn-in draws on the composed timeline before the range is cut, so it needs timeline times
+    fs.mkdirSync(workDir, { recursive: true })
+    const burnIn = range ? writeSubtitleSidecars(tracks.filter(t => t.burnIn), workDir) : subtitles.filter(s => s.burnIn)
+    const subtitleFiles = Object.fromEntries([...subtitles.filter(s => !s.burnIn), ...burnIn].map(s => [s.trackId, s.srt.path]))
+    const encode = { ...options, loudness: measured, outputPaths, subtitleFiles }
+    if (rateControl) {
+      Object.assign(encode, { rateControl, passLogFile: path.join(workDir, 'x264') })
+      const firstPass = await buildFfmpegCommand(project, files, { ...encode, pass: 1 })
+      await execFfmpegWithProgress(firstPass, null, jobId, { pass: 1, passes: 2 })
+      const args = await buildFfmpegCommand(project, files, { ...encode, pass: 2 })
+      result = await execFfmpegWithProgress(args, null, jobId, { pass: 2, passes: 2 })
+    } else {
+      const args = await buildFfmpegCommand(project, files, encode)
+      result = await execFfmpegWithProgress(args, null, jobId)
+    }
+  } finally {
+    fs.rmSync(lutDir, { recursive: true, force: true })
+    fs.rmSync(workDir, { recursive: true, force: true })
+  }
+
+  for (const o of outputs) o.size = fs.statSync(o.path).size
+  let rateResult = null
+  if (rateControl) {
+    const budget = rateControl.maxFileSize ? rateControl.maxFileSize * 1024 * 1024 : null
+    const achieved = []
+    for (const o of outputs){
+      const probe = await probeMedia(o.path)
+      const duration = Number(probe?.format?.duration) || 0
+      achieved.push({
+        rendition: o.rendition,
+        size: o.size,
+        bitrate: duration > 0 ? Math.round(o.size * 8 / 1000 / duration) : null,
+        ...(budget ? { withinBudget: o.size <= budget } : {})
+      })
+    }
+    rateResult = { ...rateControl, achieved }
+  }
+  let loudness = null
+  if (measured) {
+    const { name, integrated, truePeak, range } = measured
+    const final = parseLoudnorm(result.stderr)
+    loudness = {
+      target: { name, integrated, truePeak, range },
+      input: measured.measured.input,
+      output: final.output,
+      normalizationType: final.normalizationType
+    }
+  } else if (target) {
+    loudness = { target, skipped: 'project has no audio' }
+  }
+  return { ...result, outputs, loudness, subtitles, rateControl: rateResult, range }
+}
+
 // Render video and upload to S3
 export async function renderAndUploadVideo(project, files, options, username, projectId) {
-  const { renditions = ['1080p'] } = options || {}
-  const results = []
-  
-  for (const rendition of renditions) {
-    console.log(`Starting render for ${rendition}...`)
-    
-    // Create temporary output file
-    const tempOutputPath = `/tmp/render_${projectId}_${rendition}_${Date.now()}.mp4`
-    
-    try {
-      // Build ffmpeg command
-      const args = await buildFfmpegCommand(project, files, { ...options, renditions: [rendition] })
-      
-      // Execute ffmpeg render
-      const jobId = `render_${projectId}_${rendition}_${Date.now()}`
-      await execFfmpegWithProgress(args, tempOutputPath, jobId)
-      
-      // Upload to S3
-      const s3Key = `${config.s3.outputsPrefix}${username}/${projectId}/${rendition}/video.mp4`
-      const uploadResult = await uploadToS3(tempOutputPath, s3Key, 'video/mp4')
-      
-      results.push({
-        rendition,
-        ...uploadResult,
-        jobId
-      })
-      
-      console.log(`${rendition} render completed and uploaded`)
-      
-    } catch (error) {
-      console.error(`Render failed for ${rendition}:`, error)
-      
-      // Clean up temp file if it exists
-      if (fs.existsSync(tempOutputPath)) {
-        fs.unlinkSync(tempOutputPath)
+  const jobId = `render_${projectId}_${Date.now()}`
+  const tempDir = `/tmp/${jobId}`
+
+  try {
+    const { outputs } = await renderRenditions(project, files, options, tempDir, jobId)
+    const results = []
+
+    for (const o of outputs) {
+      const s3Key = `${config.s3.outputsPrefix}${username}/${projectId}/${o.filename}`
+      try {
+        await uploadToS3({ key: s3Key, filePath: o.path, contentType: o.contentType })
+        results.push({
+          rendition: o.rendition, width: o.width, height: o.height, size: o.size, success: true, s3Key,
+          bucket: config.s3.bucket, url: `https://${config.s3.bucket}.s3.${config.region}.amazonaws.com/${s3Key}`, jobId
+        })
+        console.log(`${o.rendition} render uploaded`)
+      } catch (error) {
+        console.error(`Upload failed for ${o.rendition}:`, error)
+        results.push({ rendition: o.rendition, success: false, error: error.message })
       }
-      
-      results.push({
-        rendition,
-        success: false,
-        error: error.message
-      })
     }
+
+    return results
+  } catch (error) {
+    console.error('Render failed:', error)
+    const { renditions = ['1080p'] } = options || {}
+    return renditions.map(rendition => ({ rendition, success: false, error: error.message }))
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true })
   }
-  
-  return results
 }
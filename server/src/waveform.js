@@ -0,0 +1,84 @@
+import { spawn } from 'child_process'
+
+// Waveform peaks for drawing audio clips on the timeline. The first audio stream is decoded
+// to mono 16-bit PCM and reduced to a min/max pair per bucket at a few zoom levels, so the
+// client can pick the level closest to its px-per-second zoom without decoding anything.
+// Peaks are stored as JSON with each level's pairs packed into base64 Int8 data
+// (min, max, min, max, ...), scaled so 127 is full scale.
+
+export const PEAKS_VERSION = 1
+export const PEAK_SAMPLE_RATE = 16000
+// Buckets per second of each level, finest last; each must divide the finest one
+export const PEAK_LEVELS = [10, 50, 200]
+
+const FINEST = PEAK_LEVELS[PEAK_LEVELS.length - 1]
+const SAMPLES_PER_BUCKET = PEAK_SAMPLE_RATE / FINEST
+
+// Merge the finest min/max pairs `factor` at a time
+function mergePeaks(peaks, factor){
+  const buckets = Math.ceil(peaks.length / 2 / factor)
+  const out = new Int8Array(buckets * 2)
+  for (let b = 0; b < buckets; b++) {
+    let min = 127, max = -128
+    const end = Math.min((b + 1) * factor, peaks.length / 2)
+    for (let i = b * factor; i < end; i++) {
+      if (peaks[i * 2] < min) min = peaks[i * 2]
+      if (peaks[i * 2 + 1] > max) max = peaks[i * 2 + 1]
+    }
+    out[b * 2] = min
+    out[b * 2 + 1] = max
+  }
+  return out
+}
+
+// Decode input (path or URL) and compute its peaks
+export function computePeaks(input){
+  return new Promise((resolve, reject) => {
+    const child = spawn('ffmpeg', [
+      '-hide_banner', '-loglevel', 'error', '-i', input,
+      '-map', '0:a:0', '-ac', '1', '-ar', String(PEAK_SAMPLE_RATE), '-f', 's16le', '-'
+    ], { stdio: ['ignore', 'pipe', 'pipe'] })
+    const finest = []
+    let min = 127, max = -128, count = 0, samples = 0
+    // A chunk can end halfway through a sample
+    let carry = null
+    let stderr = ''
+
+    child.stdout.on('data', chunk => {
+      const buf = carry ? Buffer.concat([carry, chunk]) : chunk
+      const whole = buf.length - (buf.length % 2)
+      carry = whole < buf.length ? buf.subarray(whole) : null
+      for (let i = 0; i < whole; i += 2) {
+        const v = buf.readInt16LE(i) >> 8
+        if (v < min) min = v
+        if (v > max) max = v
+        if (++count === SAMPLES_PER_BUCKET) {
+          finest.push(min, max)
+          min = 127; max = -128; count = 0
+        }
+      }
+      samples += whole / 2
+    })
+    child.stderr.on('data', d => stderr += d.toString())
+    child.on('error', reject)
+    child.on('close', code => {
+      if (code !== 0) return reject(new Error(`ffmpeg failed (${code}): ${stderr}`))
+      if (count > 0) finest.push(min, max)
+      if (!finest.length) return reject(new Error('no audio decoded'))
+      const peaks = Int8Array.from(finest)
+      resolve({
+        version: PEAKS_VERSION,
+        duration: samples / PEAK_SAMPLE_RATE,
+        sampleRate: PEAK_SAMPLE_RATE,
+        levels: PEAK_LEVELS.map(bucketsPerSecond => {
+          const level = bucketsPerSecond === FINEST ? peaks : mergePeaks(peaks, FINEST / bucketsPerSecond)
+          return {
+            bucketsPerSecond,
+            buckets: level.length / 2,
+            peaks: Buffer.from(level.buffer, level.byteOffset, level.byteLength).toString('base64')
+          }
+        })
+      })
+    })
+  })
+}
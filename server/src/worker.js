@@ -1,7 +1,9 @@
 import { receiveRenderJobs, deleteRenderJob, getQueueDepth } from './queue.js'
-import { buildFfmpegCommand, execFfmpegWithProgress } from './video.js'
-import { presignDownload, presignUpload, uploadToS3 } from './s3.js'
+import { renderRenditions } from './video.js'
+import { packageStreaming, SEGMENT_SECONDS } from './streaming.js'
+import { presignDownload, presignUpload, uploadToS3, uploadDirectoryToS3 } from './s3.js'
 import { saveUserJob } from './storage.js'
+import { ingestFile } from './ingest.js'
 import config from './config.js'
 import fs from 'fs'
 import path from 'path'
@@ -25,7 +27,7 @@ let shutdownRequested = false
  */
 async function processRenderJob(message) {
     const { job, receiptHandle, approximateReceiveCount } = message
-    const { jobId, projectId, userId, username, files, timeline, preset, renditions, width, height } = job
+    const { jobId, projectId, userId, username, files, timeline, preset, renditions, format = 'mp4', packaging = 'progressive', loudness, targetBitrate, maxFileSize, rangeStart, rangeEnd, stillTime, width, height, fps, fitMode } = job
 
     console.log(`\n[${WORKER_ID}] Processing job ${jobId} (attempt ${approximateReceiveCount})`)
     console.log(`   Project: ${projectId}, User: ${username}, Preset: ${preset}`)
@@ -45,64 +47,115 @@ async function processRenderJob(message) {
             attempt: approximateReceiveCount
         })
 
-        // Prepare output path
-        const outputFilename = `${jobId}.mp4`
-        const outputPath = config.features.useS3
-            ? `/tmp/${outputFilename}` // Temp file for S3 upload
-            : path.join(__dirname, '..', 'data', 'outputs', outputFilename)
+        // Prepare output directory (one file per rendition)
+        const outputDir = config.features.useS3
+            ? `/tmp/${jobId}` // Temp dir for S3 upload
+            : path.join(__dirname, '..', 'data', 'outputs', jobId)
 
-        // Ensure output directory exists
-        const outputDir = path.dirname(outputPath)
-        if (!fs.existsSync(outputDir)) {
-            fs.mkdirSync(outputDir, { recursive: true })
-        }
-
-        // Build FFmpeg command
-        console.log(`[${WORKER_ID}] Building FFmpeg command...`)
-        
         // Build project object for FFmpeg command generation
         const project = {
             id: projectId,
             width: width || 1920,
             height: height || 1080,
-            fps: 30,
+            fps: fps || 30,
             tracks: timeline || [],
-            fitMode: 'fit-in'
+            fitMode: fitMode || 'fit-in'
         }
 
-        const ffmpegArgs = await buildFfmpegCommand(project, files, {
+        console.log(`[${WORKER_ID}] Starting FFmpeg render (${(renditions || ['1080p']).join(', ')})...`)
+
+        // Execute FFmpeg with progress tracking; all renditions come from one decode
+        const result = await renderRenditions(project, files, {
             preset: preset || 'crispstream',
-            renditions: renditions || ['1080p']
-        })
+            renditions: renditions || ['1080p'],
+            format,
+            keyframeInterval: packaging === 'progressive' ? undefined : SEGMENT_SECONDS,
+            loudness,
+            targetBitrate,
+            maxFileSize,
+            rangeStart,
+            rangeEnd,
+            stillTime
+        }, outputDir, jobId)
 
-        console.log(`[${WORKER_ID}] Starting FFmpeg render...`)
-        console.log(`   FFmpeg args: ${ffmpegArgs.join(' ').slice(0, 200)}...`)
+        console.log(`[${WORKER_ID}] FFmpeg completed successfully (exit code ${result.code})`)
 
-        // Execute FFmpeg with progress tracking
-        const result = await execFfmpegWithProgress(ffmpegArgs, outputPath, jobId)
+        const outputs = []
+        for (const o of result.outputs) {
+            const output = {
+                rendition: o.rendition,
+                width: o.width,
+                height: o.height,
+                contentType: o.contentType,
+                size: o.size,
+                output: `/media/outputs/${jobId}/${o.filename}`
+            }
 
-        console.log(`[${WORKER_ID}] FFmpeg completed successfully (exit code ${result.code})`)
+            // Upload to S3 if configured
+            if (config.features.useS3) {
+                console.log(`[${WORKER_ID}] Uploading ${o.rendition} to S3...`)
+                output.s3Key = `${config.s3.outputsPrefix}${userId}/${jobId}/${o.filename}`
+                await uploadToS3({
+                    key: output.s3Key,
+                    filePath: o.path,
+                    contentType: o.contentType
+                })
+                output.output = `/media/outputs/${userId}/${jobId}/${o.filename}`
+            }
 
-        // Upload to S3 if configured
-        let finalOutputPath = outputPath
-        if (config.features.useS3) {
-            console.log(`[${WORKER_ID}] Uploading to S3...`)
-            const s3Key = `media/outputs/${userId}/${outputFilename}`
+            outputs.push(output)
+        }
 
-            await uploadToS3({
-                key: s3Key,
-                filePath: outputPath,
-                contentType: 'video/mp4'
-            })
+        // Subtitle sidecars (.srt and .vtt) sit next to the renditions
+        const subtitles = []
+        for (const sub of result.subtitles) {
+            const entry = { name: sub.name, language: sub.language, burnIn: sub.burnIn }
+            for (const subtitleFormat of ['srt', 'vtt']) {
+                const file = sub[subtitleFormat]
+                entry[subtitleFormat] = `/media/outputs/${jobId}/${file.filename}`
+                if (config.features.useS3) {
+                    const key = `${config.s3.outputsPrefix}${userId}/${jobId}/${file.filename}`
+                    await uploadToS3({ key, filePath: file.path, contentType: file.contentType })
+                    entry[subtitleFormat] = `/media/outputs/${userId}/${jobId}/${file.filename}`
+                    entry[`${subtitleFormat}S3Key`] = key
+                }
+            }
+            subtitles.push(entry)
+        }
 
-            finalOutputPath = `/media/outputs/${userId}/${outputFilename}`
+        // Package HLS/DASH from the rendered renditions (remux only)
+        const streamingUrls = {}
+        if (packaging !== 'progressive') {
+            console.log(`[${WORKER_ID}] Packaging ${packaging}...`)
+            const streaming = await packageStreaming(result.outputs, outputDir, packaging)
+            // In S3 mode the server reads /media/outputs/<userId>/... from the outputs prefix
+            const base = config.features.useS3 ? `/media/outputs/${userId}/${jobId}` : `/media/outputs/${jobId}`
+
+            for (const pkg of Object.values(streaming)) {
+                if (config.features.useS3) {
+                    await uploadDirectoryToS3({
+                        dir: path.join(outputDir, pkg.dir),
+                        prefix: `${config.s3.outputsPrefix}${userId}/${jobId}/${pkg.dir}/`
+                    })
+                }
+            }
+            if (streaming.hls) {
+                streamingUrls.playlistUrl = `${base}/${streaming.hls.playlist}`
+                if (config.features.useS3) streamingUrls.playlistS3Key = `${config.s3.outputsPrefix}${userId}/${jobId}/${streaming.hls.playlist}`
+            }
+            if (streaming.dash) {
+                streamingUrls.dashManifestUrl = `${base}/${streaming.dash.manifest}`
+                if (config.features.useS3) streamingUrls.dashManifestS3Key = `${config.s3.outputsPrefix}${userId}/${jobId}/${streaming.dash.manifest}`
+            }
+        }
 
-            // Clean up temp file
+        // Clean up temp files
+        if (config.features.useS3) {
             try {
-                fs.unlinkSync(outputPath)
-                console.log(`[${WORKER_ID}] Cleaned up temp file`)
+                fs.rmSync(outputDir, { recursive: true, force: true })
+                console.log(`[${WORKER_ID}] Cleaned up temp files`)
             } catch (cleanupError) {
-                console.warn(`[${WORKER_ID}] Failed to clean up temp file:`, cleanupError)
+                console.warn(`[${WORKER_ID}] Failed to clean up temp files:`, cleanupError)
             }
         }
 
@@ -115,7 +168,15 @@ async function processRenderJob(message) {
             ownerId: userId,
             status: 'completed',
             progress: 100,
-            output: finalOutputPath,
+            output: outputs[0].output,
+            outputs,
+            format,
+            packaging,
+            loudness: result.loudness,
+            rateControl: result.rateControl,
+            range: result.range,
+            subtitles,
+            ...streamingUrls,
             createdAt: job.createdAt || startTime,
             startedAt: startTime,
             completedAt,
@@ -160,6 +221,24 @@ async function processRenderJob(message) {
     }
 }
 
+/**
+ * Process a media ingest job (probe, thumbnail, proxy, waveform, peaks, filmstrip). Failures are
+ * recorded on the file record, so the message is removed either way.
+ */
+async function processIngestJob(message) {
+    const { job, receiptHandle } = message
+    console.log(`\n[${WORKER_ID}] Ingesting file ${job.fileId} for ${job.username}`)
+
+    activeJobs++
+    try {
+        const file = await ingestFile(job.username, job.fileId)
+        console.log(`[${WORKER_ID}] Ingest of file ${job.fileId}: ${file?.ingestStatus || 'file not found'}`)
+        await deleteRenderJob(receiptHandle)
+    } finally {
+        activeJobs--
+    }
+}
+
 /**
  * Main worker loop
  */
@@ -197,7 +276,8 @@ async function workerLoop() {
             // Process jobs (could be parallel if MAX_CONCURRENT_JOBS > 1)
             for (const message of messages) {
                 // Don't await here if you want parallel processing
-                await processRenderJob(message)
+                if (message.job.type === 'ingest') await processIngestJob(message)
+                else await processRenderJob(message)
             }
 
         } catch (error) {